@@ -1,60 +1,165 @@
 import Database from "better-sqlite3";
+import { v4 as uuidv4 } from "uuid";
+import crypto from "crypto";
 
 export const PAUSE_MINUTES = 15; // M
 export const MAX_TICKETS_PER_PERSON = 8; // N
 export const MIN_SESSION_DURATION = 60;
 export const MAX_SESSION_DURATION = 240; 
+export const SESSION_LEAD_MINUTES = 60; // сеанс назначается не раньше чем за час
+export const MAX_HALL_ROWS = 50;
+export const MAX_SEATS_PER_ROW = 50;
+export const AGE_RATINGS = ["0+", "6+", "12+", "16+", "18+"];
+export const DEFAULT_BASE_PRICE = 350; // руб.
+export const DEFAULT_TARIFF = "adult";
+export const MAX_TEMPLATE_DAYS = 62; // за один шаблон — не больше двух месяцев
+export const DEFAULT_HOLD_MINUTES = 10; // временная бронь по телефону
+export const MAX_HOLD_MINUTES = 60;
+// scheduled, on_sale и cancelled хранятся в sessions.status; остальные наступают по часам
+export const SESSION_STATUSES = ["scheduled", "on_sale", "sales_closed", "running", "finished", "cancelled"];
+export const SALES_CLOSE_MINUTES = 10; // касса перестаёт продавать за 10 минут до начала
+export const USER_ROLES = ["cashier", "admin", "usher"];
+export const AUTH_SESSION_HOURS = 12; // одна смена
+export const TICKET_CODE_LENGTH = 10;
+export const CHECKIN_OPENS_MINUTES = 30; // вход в зал открывается за полчаса до начала
+export const CINEMA_TIME_ZONE = process.env.CINEMA_TIME_ZONE || "Europe/Moscow";
+export const BUSINESS_DAY_START_HOUR = 5; // ночной сеанс в 01:30 относится к предыдущему рабочему дню
 
-const DB_FILE = "./cinema.sqlite";
+// Правила работы кассы. Константы выше — значения по умолчанию; администратор меняет их
+// в таблице settings, а правила с perHall можно переопределить для отдельного зала (hall_settings)
+export const SETTING_DEFS = {
+  pause_minutes: { label: "Техпауза между сеансами, мин", default: PAUSE_MINUTES, min: 0, max: 120, perHall: true },
+  max_tickets_per_person: { label: "Лимит билетов в одни руки", default: MAX_TICKETS_PER_PERSON, min: 1, max: 50, perHall: true },
+  min_session_duration: { label: "Минимальная длительность сеанса, мин", default: MIN_SESSION_DURATION, min: 1, max: 720, perHall: false },
+  max_session_duration: { label: "Максимальная длительность сеанса, мин", default: MAX_SESSION_DURATION, min: 1, max: 720, perHall: false },
+  sales_close_minutes: { label: "Продажи закрываются до начала сеанса за, мин", default: SALES_CLOSE_MINUTES, min: 0, max: 240, perHall: true },
+  session_lead_minutes: { label: "Сеанс можно назначить не раньше чем через, мин", default: SESSION_LEAD_MINUTES, min: 0, max: 10080, perHall: false },
+  business_day_start_hour: { label: "Рабочий день начинается в, ч", default: BUSINESS_DAY_START_HOUR, min: 0, max: 12, perHall: false }
+};
+
+// залы первого запуска; по ним же восстанавливается раскладка старых баз, где была только вместимость
+export const DEFAULT_HALLS = [
+  { id: "HALL-1", name: "Зал 1 (IMAX)", rows_count: 10, seats_per_row: 12 },
+  { id: "HALL-2", name: "Зал 2", rows_count: 8, seats_per_row: 10 },
+  { id: "HALL-3", name: "Зал 3 (VIP)", rows_count: 5, seats_per_row: 8 }
+];
+
+export const DB_FILE = "./cinema.sqlite";
 export const db = new Database(DB_FILE);
 
+// Наполнение справочников на первом запуске; таблицы к этому моменту создал migrate() из migrations.js
 export function initDb() {
   db.pragma("foreign_keys = ON");
 
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS halls (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      capacity INTEGER NOT NULL CHECK (capacity >= 0)
-    );
-
-    CREATE TABLE IF NOT EXISTS sessions (
-      id TEXT PRIMARY KEY,
-      movie TEXT NOT NULL,
-      start_at TEXT NOT NULL,          -- ISO string
-      duration_min INTEGER NOT NULL CHECK (duration_min > 0),
-      hall_id TEXT NOT NULL,
-      FOREIGN KEY (hall_id) REFERENCES halls(id) ON DELETE RESTRICT
-    );
-
-    CREATE TABLE IF NOT EXISTS bookings (
-      id TEXT PRIMARY KEY,
-      session_id TEXT NOT NULL,
-      customer_name TEXT NOT NULL,
-      tickets INTEGER NOT NULL CHECK (tickets > 0),
-      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_sessions_hall ON sessions(hall_id);
-    CREATE INDEX IF NOT EXISTS idx_bookings_session ON bookings(session_id);
-    CREATE INDEX IF NOT EXISTS idx_bookings_session_name ON bookings(session_id, customer_name);
-  `);
-
+  seedSettings();
   seedHallsIfEmpty();
+  seedTariffsIfEmpty();
+  seedAdminIfNoUsers();
+}
+
+// Пароли: scrypt с индивидуальной солью
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Коды билетов: без похожих друг на друга символов (0/O, 1/I), чтобы их можно было набрать с бумаги
+const TICKET_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+export function generateTicketCode() {
+  const bytes = crypto.randomBytes(TICKET_CODE_LENGTH);
+  let code = "";
+  for (const b of bytes) code += TICKET_CODE_ALPHABET[b % TICKET_CODE_ALPHABET.length];
+  return code;
+}
+
+export function normalizeTicketCode(code) {
+  return String(code ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+// "  Дюна   " и "дюна" — один и тот же фильм
+export function normalizeTitle(title) {
+  return String(title).trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+// ФИО сравниваются без учёта регистра, лишних пробелов и ё/е: "Иванов Иван" и "иванов  иван" — один человек
+export function normalizeCustomerName(name) {
+  return String(name ?? "").trim().replace(/\s+/g, " ").toLowerCase().replaceAll("ё", "е");
+}
+
+// Телефон храним цифрами с кодом страны: 8 (916) 123-45-67, +7 916 123 45 67 и 9161234567 совпадают
+export function normalizePhone(phone) {
+  let digits = String(phone ?? "").replace(/\D/g, "");
+  if (digits.length === 11 && digits.startsWith("8")) digits = "7" + digits.slice(1);
+  if (digits.length === 10) digits = "7" + digits;
+  return digits || null;
+}
+
+export function normalizeEmail(email) {
+  return String(email ?? "").trim().toLowerCase() || null;
+}
+
+function seedSettings() {
+  const insert = db.prepare(`INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)`);
+  for (const [key, def] of Object.entries(SETTING_DEFS)) insert.run(key, def.default);
 }
 
 function seedHallsIfEmpty() {
   const count = db.prepare(`SELECT COUNT(*) AS c FROM halls`).get().c;
   if (count > 0) return;
 
-  const insert = db.prepare(`INSERT INTO halls (id, name, capacity) VALUES (@id, @name, @capacity)`);
+  const insert = db.prepare(`
+    INSERT INTO halls (id, name, capacity, rows_count, seats_per_row)
+    VALUES (@id, @name, @rows_count * @seats_per_row, @rows_count, @seats_per_row)
+  `);
+
+  const tx = db.transaction(() => DEFAULT_HALLS.forEach(h => insert.run(h)));
+  tx();
+}
+
+function seedTariffsIfEmpty() {
+  const count = db.prepare(`SELECT COUNT(*) AS c FROM tariffs`).get().c;
+  if (count > 0) return;
+
+  const insert = db.prepare(`
+    INSERT INTO tariffs (id, name, discount_percent, sort_order)
+    VALUES (@id, @name, @discount_percent, @sort_order)
+  `);
 
-  const halls = [
-    { id: "HALL-1", name: "Зал 1 (IMAX)", capacity: 120 },
-    { id: "HALL-2", name: "Зал 2", capacity: 80 },
-    { id: "HALL-3", name: "Зал 3 (VIP)", capacity: 40 }
+  const tariffs = [
+    { id: DEFAULT_TARIFF, name: "Взрослый", discount_percent: 0, sort_order: 1 },
+    { id: "child", name: "Детский", discount_percent: 50, sort_order: 2 },
+    { id: "student", name: "Студенческий", discount_percent: 30, sort_order: 3 },
+    { id: "pensioner", name: "Пенсионный", discount_percent: 40, sort_order: 4 }
   ];
 
-  const tx = db.transaction(() => halls.forEach(h => insert.run(h)));
+  const tx = db.transaction(() => tariffs.forEach(t => insert.run(t)));
   tx();
 }
+
+// Первый запуск: создаём администратора. Пароль берётся из CINEMA_ADMIN_PASSWORD,
+// иначе генерируется и один раз печатается в консоль
+function seedAdminIfNoUsers() {
+  const count = db.prepare(`SELECT COUNT(*) AS c FROM users`).get().c;
+  if (count > 0) return;
+
+  const password = process.env.CINEMA_ADMIN_PASSWORD || crypto.randomBytes(6).toString("base64url");
+  db.prepare(`
+    INSERT INTO users (id, username, display_name, password_hash, role, created_at)
+    VALUES (?, 'admin', 'Администратор', ?, 'admin', ?)
+  `).run(uuidv4(), hashPassword(password), new Date().toISOString());
+
+  if (!process.env.CINEMA_ADMIN_PASSWORD) {
+    console.log(`Создан пользователь admin с паролем ${password} — смените его после входа`);
+  }
+}
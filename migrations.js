@@ -0,0 +1,602 @@
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import {
+  db, DB_FILE, AGE_RATINGS, DEFAULT_HALLS, DEFAULT_BASE_PRICE, MAX_TICKETS_PER_PERSON, generateTicketCode,
+  normalizeTitle, normalizeCustomerName, normalizePhone, normalizeEmail
+} from "./db.js";
+
+const BACKUP_DIR = "./backups";
+
+// Шаги схемы по порядку. Номер шага — версия схемы после него; применённый шаг
+// больше не меняется, любое изменение схемы — новый шаг в конце списка.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "baseline",
+    // схема на момент появления версий; шаг идемпотентен, поэтому поднимает и пустую
+    // базу, и базы, созданные до миграций, с любым набором колонок
+    up() {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS halls (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          capacity INTEGER NOT NULL CHECK (capacity >= 0),
+          rows_count INTEGER NOT NULL DEFAULT 0,      -- рядов в зале
+          seats_per_row INTEGER NOT NULL DEFAULT 0    -- мест в ряду
+        );
+
+        CREATE TABLE IF NOT EXISTS movies (
+          id TEXT PRIMARY KEY,
+          title TEXT NOT NULL,
+          runtime_min INTEGER NOT NULL CHECK (runtime_min > 0),
+          age_rating TEXT NOT NULL,
+          description TEXT NOT NULL DEFAULT ''
+        );
+
+        CREATE TABLE IF NOT EXISTS sessions (
+          id TEXT PRIMARY KEY,
+          movie_id TEXT NOT NULL,
+          start_at TEXT NOT NULL,          -- ISO string
+          duration_min INTEGER NOT NULL CHECK (duration_min > 0),
+          hall_id TEXT NOT NULL,
+          base_price INTEGER NOT NULL DEFAULT 0 CHECK (base_price >= 0),
+          version INTEGER NOT NULL DEFAULT 1,       -- растёт при каждом изменении (ETag)
+          FOREIGN KEY (movie_id) REFERENCES movies(id) ON DELETE RESTRICT,
+          FOREIGN KEY (hall_id) REFERENCES halls(id) ON DELETE RESTRICT
+        );
+
+        -- покупатели; *_norm — нормализованные значения для поиска и сопоставления
+        CREATE TABLE IF NOT EXISTS customers (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          name_norm TEXT NOT NULL,
+          phone TEXT,
+          phone_norm TEXT,                 -- только цифры, с кодом страны: 79161234567
+          email TEXT,
+          email_norm TEXT,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_customers_name ON customers(name_norm);
+        CREATE INDEX IF NOT EXISTS idx_customers_phone ON customers(phone_norm);
+        CREATE INDEX IF NOT EXISTS idx_customers_email ON customers(email_norm);
+
+        CREATE TABLE IF NOT EXISTS bookings (
+          id TEXT PRIMARY KEY,
+          session_id TEXT NOT NULL,
+          customer_name TEXT NOT NULL,
+          tickets INTEGER NOT NULL CHECK (tickets > 0),
+          total_price INTEGER NOT NULL DEFAULT 0,
+          status TEXT NOT NULL DEFAULT 'confirmed',   -- hold | confirmed
+          hold_expires_at TEXT,                       -- ISO string, только для hold
+          version INTEGER NOT NULL DEFAULT 1,
+          customer_id TEXT REFERENCES customers(id),
+          FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+        );
+
+        -- конкретные места брони; UNIQUE не даёт продать одно место дважды
+        CREATE TABLE IF NOT EXISTS booking_seats (
+          booking_id TEXT NOT NULL,
+          session_id TEXT NOT NULL,
+          seat_row INTEGER NOT NULL CHECK (seat_row > 0),
+          seat_no INTEGER NOT NULL CHECK (seat_no > 0),
+          tariff_id TEXT NOT NULL DEFAULT 'adult',
+          price INTEGER NOT NULL DEFAULT 0,         -- цена билета на момент продажи
+          ticket_code TEXT,                         -- код билета для печати и прохода в зал
+          checked_in_at TEXT,                       -- ISO string, когда билет погашен на входе
+          checked_in_by TEXT,
+          UNIQUE (session_id, seat_row, seat_no),
+          FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+          FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS tariffs (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          discount_percent INTEGER NOT NULL DEFAULT 0 CHECK (discount_percent BETWEEN 0 AND 100),
+          sort_order INTEGER NOT NULL DEFAULT 0
+        );
+
+        -- надбавки к базовой цене: для зала и/или окна времени начала сеанса
+        CREATE TABLE IF NOT EXISTS price_surcharges (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          hall_id TEXT,                    -- NULL — для всех залов
+          time_from TEXT,                  -- "HH:MM", NULL вместе с time_to — весь день
+          time_to TEXT,
+          amount INTEGER NOT NULL,         -- руб., отрицательная сумма — скидка
+          FOREIGN KEY (hall_id) REFERENCES halls(id) ON DELETE CASCADE
+        );
+
+        -- шаблон регулярного расписания: фильм в зале в заданное время каждый подходящий день периода
+        CREATE TABLE IF NOT EXISTS schedule_templates (
+          id TEXT PRIMARY KEY,
+          movie_id TEXT NOT NULL,
+          hall_id TEXT NOT NULL,
+          times TEXT NOT NULL,             -- JSON ["12:00", "15:00"]
+          weekdays TEXT NOT NULL,          -- JSON [1..7], 1 — понедельник
+          date_from TEXT NOT NULL,         -- YYYY-MM-DD
+          date_to TEXT NOT NULL,
+          duration_min INTEGER NOT NULL CHECK (duration_min > 0),
+          base_price INTEGER NOT NULL CHECK (base_price >= 0),
+          FOREIGN KEY (movie_id) REFERENCES movies(id) ON DELETE CASCADE,
+          FOREIGN KEY (hall_id) REFERENCES halls(id) ON DELETE CASCADE
+        );
+
+        -- лист ожидания на распроданный сеанс; при освобождении мест запись превращается во временную бронь
+        CREATE TABLE IF NOT EXISTS waitlist (
+          id TEXT PRIMARY KEY,
+          session_id TEXT NOT NULL,
+          customer_name TEXT NOT NULL,
+          contact TEXT NOT NULL DEFAULT '',
+          tickets INTEGER NOT NULL CHECK (tickets > 0),
+          created_at TEXT NOT NULL,        -- ISO string, порядок очереди
+          status TEXT NOT NULL DEFAULT 'waiting',   -- waiting | promoted
+          booking_id TEXT,                 -- бронь, в которую превратилась запись
+          promoted_at TEXT,
+          customer_id TEXT REFERENCES customers(id),
+          FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_waitlist_session ON waitlist(session_id, status, created_at);
+
+        CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value INTEGER NOT NULL
+        );
+
+        -- переопределения правил для зала; нет строки — действует общее значение
+        CREATE TABLE IF NOT EXISTS hall_settings (
+          hall_id TEXT NOT NULL,
+          key TEXT NOT NULL,
+          value INTEGER NOT NULL,
+          PRIMARY KEY (hall_id, key),
+          FOREIGN KEY (hall_id) REFERENCES halls(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS users (
+          id TEXT PRIMARY KEY,
+          username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          display_name TEXT NOT NULL,
+          password_hash TEXT NOT NULL,     -- scrypt$соль$хеш
+          role TEXT NOT NULL,              -- cashier | admin | usher
+          active INTEGER NOT NULL DEFAULT 1,
+          created_at TEXT NOT NULL
+        );
+
+        -- выданные при входе токены; токен хранится в httpOnly-cookie
+        CREATE TABLE IF NOT EXISTS auth_sessions (
+          token TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          expires_at TEXT NOT NULL,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        -- журнал изменений: только INSERT, записи переживают удаление сеансов и броней
+        CREATE TABLE IF NOT EXISTS audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          at TEXT NOT NULL,                -- ISO string
+          actor TEXT NOT NULL,
+          action TEXT NOT NULL,            -- "booking.update", "session.delete", ...
+          entity TEXT NOT NULL,            -- session | booking | hall | movie | tariff | surcharge | template
+          entity_id TEXT,
+          session_id TEXT,
+          booking_id TEXT,
+          before_json TEXT,                -- снимок до изменения (NULL при создании)
+          after_json TEXT,                 -- снимок после (NULL при удалении)
+          details_json TEXT
+        );
+
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+        CREATE INDEX IF NOT EXISTS idx_audit_session ON audit_log(session_id);
+        CREATE INDEX IF NOT EXISTS idx_audit_booking ON audit_log(booking_id);
+        CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_log(entity, entity_id);
+
+        CREATE INDEX IF NOT EXISTS idx_sessions_hall ON sessions(hall_id);
+        CREATE INDEX IF NOT EXISTS idx_booking_seats_booking ON booking_seats(booking_id);
+        CREATE INDEX IF NOT EXISTS idx_bookings_session ON bookings(session_id);
+        CREATE INDEX IF NOT EXISTS idx_bookings_session_name ON bookings(session_id, customer_name);
+      `);
+
+      ensureColumn("halls", "rows_count", "INTEGER NOT NULL DEFAULT 0");
+      ensureColumn("halls", "seats_per_row", "INTEGER NOT NULL DEFAULT 0");
+
+      // сеансы и брони, проданные до появления цен, считаем по базовой цене — иначе выручка по ним нулевая
+      if (ensureColumn("sessions", "base_price", "INTEGER NOT NULL DEFAULT 0 CHECK (base_price >= 0)")) {
+        db.prepare(`UPDATE sessions SET base_price = ?`).run(DEFAULT_BASE_PRICE);
+      }
+      const unpricedBookings = ensureColumn("bookings", "total_price", "INTEGER NOT NULL DEFAULT 0");
+      ensureColumn("bookings", "status", "TEXT NOT NULL DEFAULT 'confirmed'");
+      ensureColumn("bookings", "hold_expires_at", "TEXT");
+      ensureColumn("sessions", "version", "INTEGER NOT NULL DEFAULT 1");
+      ensureColumn("bookings", "version", "INTEGER NOT NULL DEFAULT 1");
+      ensureColumn("booking_seats", "tariff_id", "TEXT NOT NULL DEFAULT 'adult'");
+      if (ensureColumn("booking_seats", "price", "INTEGER NOT NULL DEFAULT 0")) {
+        db.exec(`UPDATE booking_seats SET price = (SELECT s.base_price FROM sessions s WHERE s.id = booking_seats.session_id)`);
+      }
+      ensureColumn("booking_seats", "ticket_code", "TEXT");
+      ensureColumn("booking_seats", "checked_in_at", "TEXT");
+      ensureColumn("booking_seats", "checked_in_by", "TEXT");
+      ensureColumn("bookings", "customer_id", "TEXT REFERENCES customers(id)");
+      ensureColumn("waitlist", "customer_id", "TEXT REFERENCES customers(id)");
+
+      migrateSessionMoviesToCatalogue();
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_movie ON sessions(movie_id)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_bookings_hold ON bookings(status, hold_expires_at)`);
+
+      fillMissingHallLayouts();
+      assignSeatsToLegacyBookings();
+      if (unpricedBookings) {
+        db.exec(`UPDATE bookings SET total_price = (SELECT COALESCE(SUM(price), 0) FROM booking_seats bs WHERE bs.booking_id = bookings.id)`);
+      }
+      assignMissingTicketCodes();
+      linkLegacyCustomers();
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_bookings_customer ON bookings(session_id, customer_id)`);
+      db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_booking_seats_code ON booking_seats(ticket_code)`);
+    }
+  },
+  {
+    version: 2,
+    name: "sessions_list_indexes",
+    // фильтры списка сеансов: период, зал или фильм — и сортировка по времени начала внутри них
+    up() {
+      db.exec(`
+        CREATE INDEX idx_sessions_start ON sessions(start_at);
+        CREATE INDEX idx_sessions_hall_start ON sessions(hall_id, start_at);
+        CREATE INDEX idx_sessions_movie_start ON sessions(movie_id, start_at);
+        DROP INDEX IF EXISTS idx_sessions_hall;
+        DROP INDEX IF EXISTS idx_sessions_movie;
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: "session_statuses",
+    // отмена вместо удаления: сеанс и его брони остаются в базе для возвратов и отчётов.
+    // Уже назначенные сеансы продавались сразу после создания — они переходят в on_sale
+    up() {
+      db.exec(`
+        ALTER TABLE sessions ADD COLUMN status TEXT NOT NULL DEFAULT 'on_sale'; -- scheduled | on_sale | cancelled
+        ALTER TABLE sessions ADD COLUMN cancelled_at TEXT;
+        ALTER TABLE sessions ADD COLUMN cancel_reason TEXT;
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: "unique_customer_bookings",
+    // у покупателя одна бронь на сеанс — иначе лимит в одни руки считается по одной из них
+    up() {
+      mergeDuplicateCustomerBookings();
+      db.exec(`
+        DROP INDEX IF EXISTS idx_bookings_customer;
+        CREATE UNIQUE INDEX idx_bookings_customer ON bookings(session_id, customer_id);
+      `);
+    }
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export function schemaVersion() {
+  return db.prepare(`SELECT COALESCE(MAX(version), 0) FROM schema_migrations`).pluck().get();
+}
+
+export function appliedMigrations() {
+  return db.prepare(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`).all();
+}
+
+// Вызывается при старте до любых запросов к таблицам. Каждый шаг выполняется в своей
+// транзакции вместе с записью о версии: упавший шаг откатывается целиком, а сервер
+// не стартует на базе в промежуточном состоянии
+export function migrate() {
+  db.pragma("foreign_keys = ON");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const current = schemaVersion();
+  if (current > LATEST_SCHEMA_VERSION) {
+    throw new Error(`Схема базы (версия ${current}) новее, чем знает сервер (версия ${LATEST_SCHEMA_VERSION}) — обновите сервер`);
+  }
+
+  const pending = MIGRATIONS.filter(m => m.version > current);
+  if (!pending.length) return { from: current, to: current, backup: null };
+
+  const backup = hasUserTables() ? backupDatabase(current) : null;
+  const record = db.prepare(`INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)`);
+
+  for (const m of pending) {
+    try {
+      db.transaction(() => {
+        m.up();
+        record.run(m.version, m.name, new Date().toISOString());
+      })();
+    } catch (err) {
+      err.message = `Миграция ${m.version} (${m.name}) не применена: ${err.message}` +
+        (backup ? `. Копия базы до миграций: ${backup}` : "");
+      throw err;
+    }
+    console.log(`Схема базы: применена миграция ${m.version} (${m.name})`);
+  }
+
+  return { from: current, to: LATEST_SCHEMA_VERSION, backup };
+}
+
+// на пустой базе копировать нечего
+function hasUserTables() {
+  return db.prepare(`
+    SELECT COUNT(*) FROM sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name <> 'schema_migrations'
+  `).pluck().get() > 0;
+}
+
+// VACUUM INTO делает согласованную копию средствами SQLite, даже если файл открыт
+function backupDatabase(version) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const file = path.join(BACKUP_DIR, `${path.basename(DB_FILE, ".sqlite")}-v${version}-${stamp}.sqlite`);
+  db.prepare(`VACUUM INTO ?`).run(file);
+  console.log(`Схема базы: перед миграцией сохранена копия ${file}`);
+  return file;
+}
+
+// CREATE TABLE IF NOT EXISTS не трогает уже существующие таблицы — докидываем новые колонки руками;
+// true — колонка только что добавлена и старые строки надо заполнить
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some(c => c.name === column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+// Брони, созданные до появления покупателей. Одно ФИО — ещё не один человек: записи листа ожидания
+// с одинаковыми ФИО и телефоном (почтой) получают общего покупателя, а у старых броней контактов нет —
+// каждая бронь заводит своего
+function linkLegacyCustomers() {
+  const bookings = db.prepare(`SELECT id, customer_name FROM bookings WHERE customer_id IS NULL`).all();
+  const waiting = db.prepare(`SELECT id, customer_name, contact FROM waitlist WHERE customer_id IS NULL`).all();
+  if (!bookings.length && !waiting.length) return;
+
+  const findByContact = db.prepare(`
+    SELECT id FROM customers
+    WHERE name_norm = @name_norm AND (phone_norm = @phone_norm OR email_norm = @email_norm)
+    ORDER BY created_at LIMIT 1
+  `);
+  const insert = db.prepare(`
+    INSERT INTO customers (id, name, name_norm, phone, phone_norm, email, email_norm, created_at)
+    VALUES (@id, @name, @name_norm, @phone, @phone_norm, @email, @email_norm, @created_at)
+  `);
+  const createCustomer = (fields) => {
+    const id = uuidv4();
+    insert.run({ id, ...fields, created_at: new Date().toISOString() });
+    return id;
+  };
+
+  const setBooking = db.prepare(`UPDATE bookings SET customer_id = ? WHERE id = ?`);
+  const setWaitlist = db.prepare(`UPDATE waitlist SET customer_id = ? WHERE id = ?`);
+  db.transaction(() => {
+    for (const b of bookings) setBooking.run(createCustomer(legacyCustomerFields(b.customer_name)), b.id);
+    for (const w of waiting) {
+      const fields = legacyCustomerFields(w.customer_name, w.contact);
+      const known = fields.phone_norm || fields.email_norm ? findByContact.get(fields)?.id : undefined;
+      setWaitlist.run(known ?? createCustomer(fields), w.id);
+    }
+  })();
+}
+
+// контакт листа ожидания — свободная строка: почта, если в ней есть @, иначе телефон, если цифр на полный номер
+function legacyCustomerFields(name, contact = "") {
+  const text = String(contact ?? "").trim();
+  const email = text.includes("@") ? normalizeEmail(text) : null;
+  const phone = email ? null : normalizePhone(text);
+  const fullPhone = phone && phone.length >= 11 ? phone : null;
+  return {
+    name: name.trim().replace(/\s+/g, " "),
+    name_norm: normalizeCustomerName(name),
+    phone: fullPhone ? text : null,
+    phone_norm: fullPhone,
+    email: email ? text : null,
+    email_norm: email
+  };
+}
+
+// Дубли броней покупателя на один сеанс остались от прежней привязки старых броней по одному ФИО.
+// Сливаются только брони в одном статусе и только в пределах лимита в одни руки — временная бронь
+// не становится проданной, лимит не превышается. Остальные брони получают отдельную карточку
+// покупателя (это могли быть тёзки) и перечисляются в консоли для ручной проверки
+function mergeDuplicateCustomerBookings() {
+  const groups = db.prepare(`
+    SELECT session_id, customer_id FROM bookings
+    WHERE customer_id IS NOT NULL
+    GROUP BY session_id, customer_id
+    HAVING COUNT(*) > 1
+  `).all();
+  if (!groups.length) return;
+
+  const list = db.prepare(`
+    SELECT id, session_id, customer_name, status, tickets, total_price FROM bookings
+    WHERE session_id = ? AND customer_id = ?
+    ORDER BY rowid
+  `);
+  const limitFor = db.prepare(`
+    SELECT COALESCE(
+      (SELECT hs.value FROM hall_settings hs JOIN sessions s ON s.hall_id = hs.hall_id
+        WHERE s.id = @session_id AND hs.key = 'max_tickets_per_person'),
+      (SELECT value FROM settings WHERE key = 'max_tickets_per_person'),
+      @fallback
+    )
+  `).pluck();
+  const moveSeats = db.prepare(`UPDATE booking_seats SET booking_id = ? WHERE booking_id = ?`);
+  const moveWaitlist = db.prepare(`UPDATE waitlist SET booking_id = ? WHERE booking_id = ?`);
+  const remove = db.prepare(`DELETE FROM bookings WHERE id = ?`);
+  const update = db.prepare(`UPDATE bookings SET tickets = ?, total_price = ?, version = version + 1 WHERE id = ?`);
+  const cloneCustomer = db.prepare(`
+    INSERT INTO customers (id, name, name_norm, phone, phone_norm, email, email_norm, created_at)
+    SELECT ?, name, name_norm, phone, phone_norm, email, email_norm, ? FROM customers WHERE id = ?
+  `);
+  const setCustomer = db.prepare(`UPDATE bookings SET customer_id = ? WHERE id = ?`);
+
+  const separated = [];
+  for (const g of groups) {
+    const limit = limitFor.get({ session_id: g.session_id, fallback: MAX_TICKETS_PER_PERSON });
+    const byStatus = new Map();
+    for (const b of list.all(g.session_id, g.customer_id)) {
+      if (!byStatus.has(b.status)) byStatus.set(b.status, []);
+      byStatus.get(b.status).push(b);
+    }
+
+    const left = [];
+    for (const same of byStatus.values()) {
+      const tickets = same.reduce((sum, b) => sum + b.tickets, 0);
+      if (same.length === 1 || tickets > limit) {
+        left.push(...same);
+        continue;
+      }
+      const [keep, ...rest] = same;
+      for (const b of rest) {
+        moveSeats.run(keep.id, b.id);
+        moveWaitlist.run(keep.id, b.id);
+        remove.run(b.id);
+      }
+      update.run(tickets, same.reduce((sum, b) => sum + b.total_price, 0), keep.id);
+      left.push(keep);
+    }
+
+    // на сеанс у покупателя остаётся одна бронь, остальные переходят к копии карточки
+    for (const b of left.slice(1)) {
+      const customerId = uuidv4();
+      cloneCustomer.run(customerId, new Date().toISOString(), g.customer_id);
+      setCustomer.run(customerId, b.id);
+      separated.push({ ...b, limit });
+    }
+  }
+
+  if (!separated.length) return;
+  console.log(`Схема базы: ${separated.length} брон. не объединены с другими бронями того же покупателя на сеанс — проверьте вручную:`);
+  for (const b of separated) {
+    console.log(`  бронь ${b.id}, сеанс ${b.session_id}: ${b.customer_name}, ${b.status}, билетов ${b.tickets} (лимит ${b.limit})`);
+  }
+}
+
+// Старые базы хранили фильм строкой в sessions.movie: заводим по фильму на каждое
+// нормализованное название, проставляем movie_id и убираем текстовую колонку
+function migrateSessionMoviesToCatalogue() {
+  const columns = db.prepare(`PRAGMA table_info(sessions)`).all();
+  if (!columns.some(c => c.name === "movie")) return;
+
+  const tx = db.transaction(() => {
+    if (!columns.some(c => c.name === "movie_id")) {
+      db.exec(`ALTER TABLE sessions ADD COLUMN movie_id TEXT REFERENCES movies(id) ON DELETE RESTRICT`);
+    }
+
+    const rows = db.prepare(`SELECT id, movie, duration_min FROM sessions WHERE movie_id IS NULL`).all();
+    const insertMovie = db.prepare(`
+      INSERT INTO movies (id, title, runtime_min, age_rating, description)
+      VALUES (?, ?, ?, ?, '')
+    `);
+    const setMovie = db.prepare(`UPDATE sessions SET movie_id = ? WHERE id = ?`);
+
+    const movieIds = new Map();
+    for (const r of rows) {
+      const key = normalizeTitle(r.movie);
+      if (!movieIds.has(key)) {
+        const id = uuidv4();
+        insertMovie.run(id, r.movie.trim().replace(/\s+/g, " "), r.duration_min, AGE_RATINGS[0]);
+        movieIds.set(key, id);
+      }
+      setMovie.run(movieIds.get(key), r.id);
+    }
+
+    db.exec(`ALTER TABLE sessions DROP COLUMN movie`);
+  });
+  tx();
+}
+
+// Раскладка рядов для залов, созданных до появления схемы мест: берём наибольший
+// делитель вместимости не больше 20, чтобы rows_count * seats_per_row === capacity
+// залы из первого запуска получают свою раскладку, остальные — почти квадратную: рядов не меньше, чем мест в ряду
+function layoutForCapacity(hallId, capacity) {
+  if (capacity <= 0) return { rows_count: 0, seats_per_row: 0 };
+  const seeded = DEFAULT_HALLS.find(h => h.id === hallId && h.rows_count * h.seats_per_row === capacity);
+  if (seeded) return { rows_count: seeded.rows_count, seats_per_row: seeded.seats_per_row };
+
+  let perRow = 1;
+  for (let d = Math.floor(Math.sqrt(capacity)); d >= 1; d--) {
+    if (capacity % d === 0) { perRow = d; break; }
+  }
+  return { rows_count: capacity / perRow, seats_per_row: perRow };
+}
+
+function fillMissingHallLayouts() {
+  const halls = db.prepare(`SELECT id, capacity FROM halls WHERE rows_count * seats_per_row <> capacity`).all();
+  if (!halls.length) return;
+
+  const update = db.prepare(`UPDATE halls SET rows_count = @rows_count, seats_per_row = @seats_per_row WHERE id = @id`);
+  const tx = db.transaction(() => halls.forEach(h => update.run({ id: h.id, ...layoutForCapacity(h.id, h.capacity) })));
+  tx();
+}
+
+// Брони, созданные до схемы мест, получают первые свободные места по порядку
+function assignSeatsToLegacyBookings() {
+  const bookings = db.prepare(`
+    SELECT b.id, b.session_id, b.tickets
+    FROM bookings b
+    WHERE NOT EXISTS (SELECT 1 FROM booking_seats bs WHERE bs.booking_id = b.id)
+    ORDER BY b.session_id, b.customer_name
+  `).all();
+  if (!bookings.length) return;
+
+  const getLayout = db.prepare(`
+    SELECT h.rows_count, h.seats_per_row, s.base_price
+    FROM sessions s JOIN halls h ON h.id = s.hall_id
+    WHERE s.id = ?
+  `);
+  const getTaken = db.prepare(`SELECT seat_row, seat_no FROM booking_seats WHERE session_id = ?`);
+  const insert = db.prepare(`INSERT INTO booking_seats (booking_id, session_id, seat_row, seat_no, price) VALUES (?, ?, ?, ?, ?)`);
+  const setTotal = db.prepare(`UPDATE bookings SET total_price = ? WHERE id = ?`);
+
+  const tx = db.transaction(() => {
+    for (const b of bookings) {
+      const layout = getLayout.get(b.session_id);
+      const taken = new Set(getTaken.all(b.session_id).map(s => `${s.seat_row}:${s.seat_no}`));
+      let left = b.tickets;
+      for (let r = 1; r <= layout.rows_count && left > 0; r++) {
+        for (let n = 1; n <= layout.seats_per_row && left > 0; n++) {
+          if (taken.has(`${r}:${n}`)) continue;
+          insert.run(b.id, b.session_id, r, n, layout.base_price);
+          left--;
+        }
+      }
+      setTotal.run((b.tickets - left) * layout.base_price, b.id);
+    }
+  });
+  tx();
+}
+
+// места, проданные до появления кодов, получают коды при старте
+function assignMissingTicketCodes() {
+  const rows = db.prepare(`SELECT rowid FROM booking_seats WHERE ticket_code IS NULL`).all();
+  if (!rows.length) return;
+  const update = db.prepare(`UPDATE booking_seats SET ticket_code = ? WHERE rowid = ?`);
+  const used = new Set(db.prepare(`SELECT ticket_code FROM booking_seats WHERE ticket_code IS NOT NULL`).pluck().all());
+  db.transaction(() => {
+    for (const { rowid } of rows) {
+      let code;
+      do code = generateTicketCode(); while (used.has(code));
+      used.add(code);
+      update.run(code, rowid);
+    }
+  })();
+}
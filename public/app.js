@@ -1,6 +1,9 @@
 let CONFIG = null;
+let CURRENT_USER = null;
 let sessions = [];
 let selectedSessionId = null;
+let currentSession = null; // сеанс, открытый в панели броней (с бронями и местами)
+let selectedSeats = new Map(); // "ряд:место" -> { row, seat }
 
 const el = (id) => document.getElementById(id);
 
@@ -13,15 +16,32 @@ function toast(msg, isError = false) {
   toast._timer = setTimeout(() => (t.hidden = true), 4000);
 }
 
+// Даты и время — по часам кинотеатра (CONFIG.timeZone), а не по часам компьютера кассы:
+// касса с неверным поясом показывает и сохраняет те же часы, что и все остальные
 function toLocalInputValue(isoString) {
-  const d = new Date(isoString);
-  const pad = (n) => String(n).padStart(2, "0");
-  const yyyy = d.getFullYear();
-  const mm = pad(d.getMonth() + 1);
-  const dd = pad(d.getDate());
-  const hh = pad(d.getHours());
-  const mi = pad(d.getMinutes());
-  return `${yyyy}-${mm}-${dd}T${hh}:${mi}`;
+  const p = Object.fromEntries(new Intl.DateTimeFormat("en-CA", {
+    timeZone: CONFIG?.timeZone, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit"
+  }).formatToParts(new Date(isoString)).map(x => [x.type, x.value]));
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}`;
+}
+
+function formatDateTime(value, options = {}) {
+  return new Date(value).toLocaleString("ru-RU", { timeZone: CONFIG?.timeZone, ...options });
+}
+
+function formatTime(value, options = { hour: "2-digit", minute: "2-digit" }) {
+  return new Date(value).toLocaleTimeString("ru-RU", { timeZone: CONFIG?.timeZone, ...options });
+}
+
+// рабочий день: ночной сеанс до businessDayStartHour относится к предыдущей дате
+function businessDate(ms = Date.now()) {
+  const shift = (CONFIG?.businessDayStartHour ?? 0) * 3_600_000;
+  return toLocalInputValue(new Date(ms - shift).toISOString()).slice(0, 10);
+}
+
+function formatBusinessDate(date) {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString("ru-RU", { timeZone: "UTC", weekday: "short", day: "numeric", month: "long" });
 }
 
 function parseDurationToMinutes(text) {
@@ -39,6 +59,35 @@ function minutesToHHMM(mins) {
   return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
 }
 
+function seatKey(s) {
+  return `${s.row}:${s.seat}`;
+}
+
+// [{row:1,seat:5},{row:1,seat:6},{row:2,seat:1}] -> "ряд 1: 5, 6; ряд 2: 1"
+function formatSeats(seats) {
+  const byRow = new Map();
+  for (const s of seats || []) {
+    if (!byRow.has(s.row)) byRow.set(s.row, []);
+    byRow.get(s.row).push(s.seat);
+  }
+  return [...byRow.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([row, list]) => `ряд ${row}: ${list.sort((a, b) => a - b).join(", ")}`)
+    .join("; ");
+}
+
+function checkedInCount(booking) {
+  return (booking.seats || []).filter(s => s.checked_in_at).length;
+}
+
+function formatMoney(amount) {
+  return `${Number(amount || 0).toLocaleString("ru-RU")} ₽`;
+}
+
+function tariffName(id) {
+  return (CONFIG?.tariffs || []).find(t => t.id === id)?.name || id;
+}
+
 function getStatusClass(booked, capacity) {
   const percent = (booked / capacity) * 100;
   if (percent >= 90) return "status-full";
@@ -46,17 +95,52 @@ function getStatusClass(booked, capacity) {
   return "status-available";
 }
 
+const SESSION_STATUS_LABELS = {
+  scheduled: "Продажи не открыты",
+  on_sale: "В продаже",
+  sales_closed: "Продажи закрыты",
+  running: "Идёт",
+  finished: "Завершён",
+  cancelled: "Отменён"
+};
+
+const SESSION_STATUS_BADGES = {
+  on_sale: "badge-success",
+  sales_closed: "badge-warning",
+  running: "badge-warning",
+  cancelled: "badge-danger"
+};
+
+// почему касса не продаёт на сеанс
+const SALES_NOTICES = {
+  scheduled: "Продажи на сеанс ещё не открыты",
+  sales_closed: "Продажи на сеанс закрыты",
+  running: "Сеанс уже идёт — продажи закрыты",
+  finished: "Сеанс завершён",
+  cancelled: "Сеанс отменён. Подтверждённые брони сохранены для возврата денег"
+};
+
+function sessionStatusBadge(status) {
+  return `<span class="badge ${SESSION_STATUS_BADGES[status] || ""}">${escapeHtml(SESSION_STATUS_LABELS[status] || status)}</span>`;
+}
+
 async function api(path, options = {}) {
   try {
     const res = await fetch(path, {
-      headers: { "Content-Type": "application/json" },
-      ...options
+      ...options,
+      headers: { "Content-Type": "application/json", ...options.headers }
     });
     
+    // сессия истекла или сотрудник заблокирован — возвращаемся на экран входа
+    if (res.status === 401 && path !== "/api/auth/login") showLogin();
+
     if (!res.ok) {
       const data = await res.json().catch(() => ({}));
       const msg = data?.error || `Ошибка запроса: ${res.status}`;
-      throw new Error(msg);
+      const err = new Error(msg);
+      err.status = res.status;
+      err.details = data?.details;
+      throw err;
     }
     
     return await res.json();
@@ -66,8 +150,91 @@ async function api(path, options = {}) {
   }
 }
 
+// версия записи, с которой начато редактирование; сервер ответит 409, если её уже изменили
+function ifMatch(version) {
+  return version == null || version === "" ? {} : { "If-Match": `"${version}"` };
+}
+
+// сохранение сеанса; после закрытия продаж сервер требует явного подтверждения
+async function putSession(id, version, body) {
+  const send = extra => api(`/api/sessions/${id}`, {
+    method: "PUT",
+    headers: ifMatch(version),
+    body: JSON.stringify({ ...body, ...extra })
+  });
+  try {
+    return await send({});
+  } catch (err) {
+    if (err.status !== 400 || err.details?.status !== "sales_closed") throw err;
+    if (!confirm("Продажи на сеанс уже закрыты. Всё равно изменить сеанс?")) throw err;
+    return send({ allow_sales_closed: true });
+  }
+}
+
+// запись изменили на другой кассе — предупреждаем и показываем актуальные данные
+async function onVersionConflict(err) {
+  if (err.status !== 409) return false;
+  toast(err.message, true);
+  await refreshSessions();
+  if (selectedSessionId) await loadAndRenderBookings(selectedSessionId);
+  return true;
+}
+
 // ---------------- init ----------------
 async function init() {
+  el("loginForm").addEventListener("submit", onLogin);
+  try {
+    CURRENT_USER = await api("/api/auth/me");
+  } catch {
+    return; // экран входа уже показан
+  }
+  await startApp();
+}
+
+const ROLE_NAMES = { cashier: "Кассир", admin: "Администратор", usher: "Контролёр" };
+
+function showLogin() {
+  CURRENT_USER = null;
+  disconnectLiveUpdates();
+  document.body.className = "logged-out";
+  el("lPassword").value = "";
+  el("lUsername").focus();
+}
+
+async function onLogin(e) {
+  e.preventDefault();
+  try {
+    const result = await api("/api/auth/login", {
+      method: "POST",
+      body: JSON.stringify({ username: el("lUsername").value.trim(), password: el("lPassword").value })
+    });
+    CURRENT_USER = result.user;
+    el("lPassword").value = "";
+    await startApp();
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+async function onLogout() {
+  await api("/api/auth/logout", { method: "POST" }).catch(() => {});
+  showLogin();
+}
+
+let uiWired = false;
+
+async function startApp() {
+  // у контролёра своя страница — проверка билетов на входе в зал
+  if (CURRENT_USER.role === "usher") {
+    location.href = "/usher.html";
+    return;
+  }
+
+  document.body.className = `role-${CURRENT_USER.role}`;
+  el("userLine").innerHTML =
+    `<i class="fas fa-user-circle"></i> ${escapeHtml(CURRENT_USER.display_name)} · ${ROLE_NAMES[CURRENT_USER.role] || CURRENT_USER.role}`;
+  switchTab("cashierView");
+
   try {
     console.log("Загрузка конфигурации...");
     
@@ -76,18 +243,21 @@ async function init() {
     console.log("Конфигурация загружена:", CONFIG);
     
     // Отображаем конфигурацию
-    el("configLine").innerHTML =
-      `<i class="fas fa-clock"></i> Техпауза M = ${CONFIG.pauseMinutes} мин · ` +
-      `<i class="fas fa-ticket-alt"></i> Лимит N = ${CONFIG.maxTicketsPerPerson} билетов в одни руки`;
+    renderConfigLine();
 
-    // Загружаем залы в селект
+    // Загружаем залы и фильмы в селекты
     loadHalls();
+    loadMovies();
     
-    // Настраиваем UI
-    wireUI();
+    // Настраиваем UI (один раз за загрузку страницы, повторный вход его не дублирует)
+    if (!uiWired) {
+      wireUI();
+      uiWired = true;
+    }
     
-    // Загружаем сеансы
+    // Загружаем сеансы и подписываемся на изменения с других касс
     await refreshSessions();
+    connectLiveUpdates();
     
     console.log("Инициализация завершена");
   } catch (err) {
@@ -115,6 +285,51 @@ function loadHalls() {
     opt.textContent = "Нет доступных залов";
     hallSel.appendChild(opt);
   }
+
+  fillFilterSelect(el("fHall"), "Все залы", (CONFIG?.halls || []).map(h => [h.id, h.name]));
+}
+
+// справочник в фильтре обновляется живьём — выбранное значение сохраняем
+function fillFilterSelect(select, allLabel, items) {
+  const previous = select.value;
+  select.innerHTML = `<option value="">${escapeHtml(allLabel)}</option>` + items
+    .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+    .join("");
+  if (items.some(([value]) => value === previous)) select.value = previous;
+}
+
+function loadMovies() {
+  const movieSel = el("sMovie");
+  movieSel.innerHTML = "";
+
+  const movies = CONFIG?.movies || [];
+  if (movies.length === 0) {
+    const opt = document.createElement("option");
+    opt.value = "";
+    opt.textContent = "Каталог фильмов пуст";
+    movieSel.appendChild(opt);
+  }
+  for (const m of movies) {
+    const opt = document.createElement("option");
+    opt.value = m.id;
+    opt.textContent = `${m.title} (${m.age_rating}) — ${minutesToHHMM(m.runtime_min)}`;
+    movieSel.appendChild(opt);
+  }
+
+  el("searchMovie").innerHTML = `<option value="">Все фильмы</option>` + movies
+    .map(m => `<option value="${escapeHtml(m.id)}">${escapeHtml(m.title)}</option>`)
+    .join("");
+  fillFilterSelect(el("fMovie"), "Все фильмы", movies.map(m => [m.id, m.title]));
+
+  el("mAgeRating").innerHTML = (CONFIG?.ageRatings || [])
+    .map(r => `<option value="${escapeHtml(r)}">${escapeHtml(r)}</option>`)
+    .join("");
+}
+
+// хронометраж фильма подставляется как длительность сеанса
+function prefillDurationFromMovie() {
+  const movie = (CONFIG?.movies || []).find(m => m.id === el("sMovie").value);
+  if (movie) el("sDuration").value = minutesToHHMM(movie.runtime_min);
 }
 
 function wireUI() {
@@ -147,65 +362,291 @@ function wireUI() {
   
   // Форма сеанса
   el("sessionForm").addEventListener("submit", onSaveSession);
+  el("sMovie").addEventListener("change", prefillDurationFromMovie);
   el("sDelete").addEventListener("click", onDeleteSession);
 
+  // Фильтры списка сеансов
+  ["fFrom", "fTo", "fHall", "fMovie", "fUpcoming", "fFree", "fSort"]
+    .forEach(id => el(id).addEventListener("change", refreshSessions));
+  setupSessionsInfiniteScroll();
+
   // Форма бронирования
   el("bookingForm").addEventListener("submit", onSaveBooking);
   el("bCancel").addEventListener("click", resetBookingForm);
+  el("waitlistForm").addEventListener("submit", onAddToWaitlist);
+  el("bHold").addEventListener("change", () => (el("bHoldMinutes").disabled = !el("bHold").checked));
+  el("bName").addEventListener("input", onCustomerInput);
+  el("bPhone").addEventListener("input", () => (el("bCustomerId").value = ""));
+  el("bName").addEventListener("keydown", (e) => { if (e.key === "Escape") hideCustomerSuggest(); });
+  el("bName").addEventListener("blur", () => setTimeout(hideCustomerSuggest, 200));
+  setInterval(tickHoldCountdowns, 1000);
+
+  // Вкладки
+  document.querySelectorAll(".tab").forEach(tab => {
+    tab.addEventListener("click", () => switchTab(tab.dataset.tab));
+  });
+
+  // Таймлайн залов
+  el("tlDate").addEventListener("change", () => shiftTimelineDate(0));
+  el("tlPrev").addEventListener("click", () => shiftTimelineDate(-1));
+  el("tlNext").addEventListener("click", () => shiftTimelineDate(1));
+  el("tlToday").addEventListener("click", () => {
+    el("tlDate").value = businessDate();
+    shiftTimelineDate(0);
+  });
+
+  // Отчёты
+  el("reportForm").addEventListener("submit", (e) => {
+    e.preventDefault();
+    loadReport();
+  });
+
+  // Поиск броней
+  el("searchQuery").addEventListener("input", scheduleBookingSearch);
+  el("searchQuery").addEventListener("focus", () => {
+    if (el("searchQuery").value.trim().length >= 2) el("searchPanel").hidden = false;
+  });
+  ["searchFrom", "searchTo", "searchMovie"].forEach(id => el(id).addEventListener("change", scheduleBookingSearch));
+  document.addEventListener("keydown", (e) => { if (e.key === "Escape") el("searchPanel").hidden = true; });
+  document.addEventListener("click", (e) => {
+    if (!e.target.closest(".header-search")) el("searchPanel").hidden = true;
+  });
+
+  // Учётная запись и сотрудники
+  el("btnLogout").addEventListener("click", onLogout);
+  el("btnPassword").addEventListener("click", () => {
+    el("passwordForm").reset();
+    el("passwordModal").hidden = false;
+  });
+  el("closePasswordModal").addEventListener("click", () => (el("passwordModal").hidden = true));
+  el("passwordModal").addEventListener("click", (e) => {
+    if (e.target === el("passwordModal")) el("passwordModal").hidden = true;
+  });
+  el("passwordForm").addEventListener("submit", onChangePassword);
+
+  el("btnSettings").addEventListener("click", openSettingsModal);
+  el("closeSettingsModal").addEventListener("click", () => (el("settingsModal").hidden = true));
+  el("settingsModal").addEventListener("click", (e) => {
+    if (e.target === el("settingsModal")) el("settingsModal").hidden = true;
+  });
+  el("settingsForm").addEventListener("submit", onSaveSettings);
+
+  el("btnUsers").addEventListener("click", openUsersModal);
+  el("closeUsersModal").addEventListener("click", () => (el("usersModal").hidden = true));
+  el("usersModal").addEventListener("click", (e) => {
+    if (e.target === el("usersModal")) el("usersModal").hidden = true;
+  });
+  el("userForm").addEventListener("submit", onSaveUser);
+  el("uCancel").addEventListener("click", resetUserForm);
+
+  // История изменений
+  el("closeHistoryModal").addEventListener("click", () => (el("historyModal").hidden = true));
+  el("historyModal").addEventListener("click", (e) => {
+    if (e.target === el("historyModal")) el("historyModal").hidden = true;
+  });
+
+  // Импорт расписания
+  el("btnImport").addEventListener("click", openImportModal);
+  el("closeImportModal").addEventListener("click", () => (el("importModal").hidden = true));
+  el("importModal").addEventListener("click", (e) => {
+    if (e.target === el("importModal")) el("importModal").hidden = true;
+  });
+  el("iFile").addEventListener("change", onImportFileChosen);
+  el("iContent").addEventListener("input", () => (el("iCommit").disabled = true));
+  el("importForm").addEventListener("submit", (e) => {
+    e.preventDefault();
+    runImport(true);
+  });
+  el("iCommit").addEventListener("click", () => runImport(false));
+
+  // Перенос всех броней сеанса
+  el("closeEvacuateModal").addEventListener("click", () => (el("evacuateModal").hidden = true));
+  el("evacuateModal").addEventListener("click", (e) => {
+    if (e.target === el("evacuateModal")) el("evacuateModal").hidden = true;
+  });
+  el("evacuateForm").addEventListener("submit", onPreviewEvacuation);
+  el("evCommit").addEventListener("click", onCommitEvacuation);
+
+  // Автосоставление
+  el("btnPack").addEventListener("click", openPackModal);
+  el("closePackModal").addEventListener("click", () => (el("packModal").hidden = true));
+  el("packModal").addEventListener("click", (e) => {
+    if (e.target === el("packModal")) el("packModal").hidden = true;
+  });
+  el("pAddFilm").addEventListener("click", () => addPackFilmRow());
+  el("packForm").addEventListener("submit", onPackSchedule);
+  el("pCommit").addEventListener("click", onCommitPackedSchedule);
+
+  // Шаблоны расписания
+  el("btnTemplates").addEventListener("click", openTemplatesModal);
+  el("closeTemplatesModal").addEventListener("click", () => (el("templatesModal").hidden = true));
+  el("templatesModal").addEventListener("click", (e) => {
+    if (e.target === el("templatesModal")) el("templatesModal").hidden = true;
+  });
+  el("templateForm").addEventListener("submit", onSaveTemplate);
+  el("tCancel").addEventListener("click", resetTemplateForm);
+  el("tMovie").addEventListener("change", () => {
+    const movie = (CONFIG?.movies || []).find(m => m.id === el("tMovie").value);
+    if (movie) el("tDuration").value = minutesToHHMM(movie.runtime_min);
+  });
+
+  // Фильмы
+  el("btnMovies").addEventListener("click", openMoviesModal);
+  el("closeMoviesModal").addEventListener("click", () => (el("moviesModal").hidden = true));
+  el("moviesModal").addEventListener("click", (e) => {
+    if (e.target === el("moviesModal")) el("moviesModal").hidden = true;
+  });
+  el("movieForm").addEventListener("submit", onSaveMovie);
+  el("mCancel").addEventListener("click", resetMovieForm);
+
+  // Цены
+  el("btnPricing").addEventListener("click", openPricingModal);
+  el("closePricingModal").addEventListener("click", () => (el("pricingModal").hidden = true));
+  el("pricingModal").addEventListener("click", (e) => {
+    if (e.target === el("pricingModal")) el("pricingModal").hidden = true;
+  });
+  el("surchargeForm").addEventListener("submit", onSaveSurcharge);
+  el("scCancel").addEventListener("click", resetSurchargeForm);
+
+  // Залы
+  el("btnHalls").addEventListener("click", openHallsModal);
+  el("closeHallsModal").addEventListener("click", () => (el("hallsModal").hidden = true));
+  el("hallsModal").addEventListener("click", (e) => {
+    if (e.target === el("hallsModal")) el("hallsModal").hidden = true;
+  });
+  el("hallForm").addEventListener("submit", onSaveHall);
+  el("hCancel").addEventListener("click", resetHallForm);
   
   console.log("UI настроен");
 }
 
 // ---------------- sessions UI ----------------
+// список сеансов подгружается страницами по мере прокрутки; фильтры и сортировку применяет сервер
+const SESSIONS_PAGE_SIZE = 50;
+const MAX_SESSIONS_RELOAD = 500; // потолок limit на сервере
+let sessionsCursor = null; // курсор следующей страницы, null — загружено всё
+let sessionsLoading = false;
+let sessionsGeneration = 0; // растёт при каждой перезагрузке списка с первой страницы
+
+function sessionListParams() {
+  const params = new URLSearchParams();
+  if (el("fFrom").value) params.set("from", el("fFrom").value);
+  if (el("fTo").value) params.set("to", el("fTo").value);
+  if (el("fHall").value) params.set("hall_id", el("fHall").value);
+  if (el("fMovie").value) params.set("movie_id", el("fMovie").value);
+  if (el("fUpcoming").checked) params.set("upcoming", "1");
+  if (el("fFree").checked) params.set("free", "1");
+  params.set("sort", el("fSort").value);
+  return params;
+}
+
+// limit позволяет живому обновлению перечитать уже прокрученные страницы одним запросом
+async function fetchSessionsPage({ cursor = null, limit = SESSIONS_PAGE_SIZE } = {}) {
+  const params = sessionListParams();
+  params.set("limit", String(limit));
+  if (cursor) params.set("cursor", cursor);
+  return api(`/api/sessions?${params}`);
+}
+
 async function refreshSessions() {
   try {
     console.log("Загрузка сеансов...");
-    const data = await api("/api/sessions");
-    
-    // Убедимся, что sessions - массив
-    sessions = Array.isArray(data) ? data : [];
+    const generation = ++sessionsGeneration;
+    const page = await fetchSessionsPage();
+    if (generation !== sessionsGeneration) return;
+    sessions = page.sessions;
+    sessionsCursor = page.next_cursor;
     console.log("Сеансы загружены:", sessions.length, "шт.");
     
     renderSessions();
 
-    // если выбранный сеанс исчез — сброс
-    if (selectedSessionId && !sessions.some(s => s.id === selectedSessionId)) {
-      selectedSessionId = null;
-      renderBookingsPanel(null);
-    } else if (selectedSessionId) {
-      await loadAndRenderBookings(selectedSessionId);
-    }
+    // выбранный сеанс может не попасть под фильтр — панель броней остаётся открытой
+    if (selectedSessionId) await loadAndRenderBookings(selectedSessionId);
   } catch (err) {
     console.error("Ошибка загрузки сеансов:", err);
     toast("Ошибка загрузки сеансов: " + err.message, true);
   }
 }
 
+async function loadMoreSessions() {
+  if (!sessionsCursor || sessionsLoading) return;
+  sessionsLoading = true;
+  renderSessionsMore();
+  const generation = sessionsGeneration;
+  try {
+    const page = await fetchSessionsPage({ cursor: sessionsCursor });
+    // пока страница грузилась, список могли перечитать с начала — тогда она уже не к месту
+    if (generation === sessionsGeneration) {
+      const known = new Set(sessions.map(s => s.id));
+      sessions = sessions.concat(page.sessions.filter(s => !known.has(s.id)));
+      sessionsCursor = page.next_cursor;
+      renderSessions();
+    }
+  } catch (err) {
+    toast("Ошибка загрузки сеансов: " + err.message, true);
+  } finally {
+    sessionsLoading = false;
+    renderSessionsMore();
+  }
+}
+
+function renderSessionsMore() {
+  const more = el("sessionsMore");
+  more.hidden = !sessionsCursor;
+  more.innerHTML = sessionsLoading
+    ? `<i class="fas fa-spinner fa-spin"></i> Загрузка…`
+    : `<button class="btn btn-secondary" type="button"><i class="fas fa-angle-double-down"></i> Показать ещё</button>`;
+  more.querySelector("button")?.addEventListener("click", loadMoreSessions);
+}
+
+// следующая страница подгружается, когда конец списка показался на экране
+function setupSessionsInfiniteScroll() {
+  if (typeof IntersectionObserver === "undefined") return;
+  new IntersectionObserver((entries) => {
+    if (entries.some(e => e.isIntersecting)) loadMoreSessions();
+  }, { rootMargin: "200px" }).observe(el("sessionsMore"));
+}
+
 function renderSessions() {
   const tbody = el("sessionsTable").querySelector("tbody");
   tbody.innerHTML = "";
 
   let totalSessions = 0;
   let totalBooked = 0;
+  let totalRevenue = 0;
 
   if (!Array.isArray(sessions) || sessions.length === 0) {
     const tr = document.createElement("tr");
     tr.innerHTML = `
       <td colspan="6" style="text-align: center; padding: 40px; color: var(--text-light);">
         <i class="fas fa-film" style="font-size: 24px; margin-bottom: 10px; display: block;"></i>
-        Нет сеансов. Создайте первый сеанс.
+        Нет сеансов под выбранные фильтры.
       </td>
     `;
     tbody.appendChild(tr);
     el("sessionsStats").textContent = "0 сеансов";
+    renderSessionsMore();
     return;
   }
 
+  // при сортировке по времени сеансы группируются по рабочим дням: ночной сеанс остаётся в своём вечере
+  const byTime = el("fSort").value.endsWith("start_at");
+  let currentDay = null;
   for (const s of sessions) {
+    if (byTime && s.business_date !== currentDay) {
+      currentDay = s.business_date;
+      const dayRow = document.createElement("tr");
+      dayRow.className = "day-row";
+      dayRow.innerHTML = `<td colspan="6"><i class="fas fa-calendar-day"></i> ${escapeHtml(formatBusinessDate(currentDay))}</td>`;
+      tbody.appendChild(dayRow);
+    }
+
     totalSessions++;
     const booked = Number(s.booked_tickets || 0);
+    const checkedIn = Number(s.checked_in_tickets || 0);
     const cap = Number(s.hall_capacity || 0);
     totalBooked += booked;
+    totalRevenue += Number(s.revenue || 0);
 
     const statusClass = getStatusClass(booked, cap);
     
@@ -215,8 +656,14 @@ function renderSessions() {
     }
 
     tr.innerHTML = `
-      <td><strong>${escapeHtml(s.movie)}</strong></td>
-      <td>${new Date(s.start_at).toLocaleString("ru-RU")}</td>
+      <td>
+        <strong>${escapeHtml(s.movie)}</strong>
+        <small class="badge">${escapeHtml(s.age_rating)}</small>
+      </td>
+      <td>
+        <div>${formatDateTime(s.start_at)}</div>
+        ${s.status === "on_sale" ? "" : sessionStatusBadge(s.status)}
+      </td>
       <td>${minutesToHHMM(Number(s.duration_min))}</td>
       <td>
         <div>${escapeHtml(s.hall_name)}</div>
@@ -229,13 +676,14 @@ function renderSessions() {
             ${booked}/${cap}
           </span>
         </div>
+        ${checkedIn ? `<small class="badge" title="Прошли в зал / забронировано"><i class="fas fa-door-open"></i> ${checkedIn}/${booked}</small>` : ""}
       </td>
       <td>
         <div class="action-buttons">
           <button class="btn btn-secondary" data-act="bookings" title="Просмотр броней">
             <i class="fas fa-ticket-alt"></i>
           </button>
-          <button class="btn btn-secondary" data-act="edit" title="Редактировать">
+          <button class="btn btn-secondary" data-act="edit" title="Редактировать" data-role="admin">
             <i class="fas fa-edit"></i>
           </button>
         </div>
@@ -258,7 +706,8 @@ function renderSessions() {
   }
 
   // Обновляем статистику
-  el("sessionsStats").textContent = `${totalSessions} сеансов • ${totalBooked} забронировано`;
+  el("sessionsStats").textContent = `${sessionsCursor ? "Загружено " : ""}${totalSessions} сеансов • ${totalBooked} забронировано • ${formatMoney(totalRevenue)}`;
+  renderSessionsMore();
 }
 
 function openSessionModalForCreate() {
@@ -266,15 +715,15 @@ function openSessionModalForCreate() {
   
   el("sessionModalTitle").innerHTML = '<i class="fas fa-plus"></i> Новый сеанс';
   el("sId").value = "";
-  el("sMovie").value = "";
+  el("sMovie").value = CONFIG?.movies?.[0]?.id || "";
   
   // Устанавливаем время на ближайший час
-  const now = new Date();
-  now.setHours(now.getHours() + 1);
-  now.setMinutes(0);
-  el("sStart").value = toLocalInputValue(now.toISOString());
+  const nextHour = (Math.floor(Date.now() / 3_600_000) + 1) * 3_600_000;
+  el("sStart").value = toLocalInputValue(new Date(nextHour).toISOString());
   
   el("sDuration").value = "02:00";
+  prefillDurationFromMovie();
+  el("sPrice").value = CONFIG?.defaultBasePrice ?? 0;
   
   // Устанавливаем первый доступный зал
   if (CONFIG && CONFIG.halls && Array.isArray(CONFIG.halls) && CONFIG.halls.length > 0) {
@@ -285,6 +734,10 @@ function openSessionModalForCreate() {
   
   el("sDelete").hidden = true;
   el("sCancel").hidden = false;
+  el("sOnSaleRow").hidden = false;
+  el("sOnSale").checked = true;
+  el("sStatusRow").hidden = true;
+  setSessionFormLocked(false);
 
   el("sessionForm").dataset.mode = "create";
   el("sessionForm").dataset.id = "";
@@ -301,15 +754,19 @@ async function openSessionModalForEdit(sessionId) {
     
     el("sessionModalTitle").innerHTML = '<i class="fas fa-edit"></i> Редактирование сеанса';
     el("sId").value = s.id;
-    el("sMovie").value = s.movie;
+    el("sMovie").value = s.movie_id;
     el("sStart").value = toLocalInputValue(s.start_at);
     el("sDuration").value = minutesToHHMM(Number(s.duration_min));
     el("sHall").value = s.hall_id;
+    el("sPrice").value = s.base_price;
     el("sDelete").hidden = false;
     el("sCancel").hidden = false;
+    el("sOnSaleRow").hidden = true;
+    renderSessionStatusActions(s);
 
     el("sessionForm").dataset.mode = "edit";
     el("sessionForm").dataset.id = s.id;
+    el("sessionForm").dataset.version = s.version;
     
     el("sessionModal").hidden = false;
     console.log("Модальное окно редактирования показано");
@@ -326,12 +783,18 @@ async function onSaveSession(e) {
   const mode = el("sessionForm").dataset.mode;
   const id = el("sessionForm").dataset.id;
 
-  const movie = el("sMovie").value.trim();
+  const movie_id = el("sMovie").value;
   const startLocal = el("sStart").value;
   const durationText = el("sDuration").value;
   const hall_id = el("sHall").value;
+  const base_price = Number(el("sPrice").value);
 
-  console.log("Данные формы:", { movie, startLocal, durationText, hall_id });
+  console.log("Данные формы:", { movie_id, startLocal, durationText, hall_id });
+
+  if (!movie_id) {
+    toast("Выберите фильм", true);
+    return;
+  }
 
   if (!hall_id) {
     toast("Выберите зал", true);
@@ -344,32 +807,43 @@ async function onSaveSession(e) {
     return;
   }
 
-  if (duration_min < 60 || duration_min > 240) {
-    toast("Длительность сеанса должна быть от 1 до 4 часов", true);
+  const minDuration = CONFIG?.minSessionDuration ?? 60;
+  const maxDuration = CONFIG?.maxSessionDuration ?? 240;
+  if (duration_min < minDuration || duration_min > maxDuration) {
+    toast(`Длительность сеанса должна быть от ${minutesToHHMM(minDuration)} до ${minutesToHHMM(maxDuration)}`, true);
+    return;
+  }
+
+  if (!Number.isInteger(base_price) || base_price < 0) {
+    toast("Базовая цена должна быть целым числом ₽", true);
     return;
   }
 
-  const start_at = new Date(startLocal).toISOString();
+  // время без смещения: сервер читает его по часам кинотеатра
+  const start_at = startLocal;
 
   try {
     if (mode === "create") {
       await api("/api/sessions", {
         method: "POST",
-        body: JSON.stringify({ movie, start_at, duration_min, hall_id })
+        body: JSON.stringify({ movie_id, start_at, duration_min, hall_id, base_price, status: el("sOnSale").checked ? "on_sale" : "scheduled" })
       });
       toast("Сеанс успешно добавлен");
     } else {
-      await api(`/api/sessions/${id}`, {
-        method: "PUT",
-        body: JSON.stringify({ movie, start_at, duration_min, hall_id })
-      });
+      const result = await putSession(id, el("sessionForm").dataset.version, { movie_id, start_at, duration_min, hall_id, base_price });
       toast("Сеанс успешно сохранён");
+      notifyPromoted(result);
     }
 
     el("sessionModal").hidden = true;
     await refreshSessions();
   } catch (err) {
     console.error("Ошибка сохранения сеанса:", err);
+    if (err.status === 409) {
+      el("sessionModal").hidden = true;
+      await onVersionConflict(err);
+      return;
+    }
     toast(err.message, true);
   }
 }
@@ -378,165 +852,1863 @@ async function onDeleteSession() {
   const id = el("sessionForm").dataset.id;
   if (!id) return;
 
-  if (!confirm("Вы уверены, что хотите удалить сеанс?\nВсе брони этого сеанса также будут удалены.")) return;
+  if (!confirm("Вы уверены, что хотите удалить сеанс?\nСеанс с бронями удалить нельзя — его можно только отменить.")) return;
 
   try {
-    await api(`/api/sessions/${id}`, { method: "DELETE" });
+    await api(`/api/sessions/${id}`, { method: "DELETE", headers: ifMatch(el("sessionForm").dataset.version) });
     toast("Сеанс успешно удалён");
     el("sessionModal").hidden = true;
     await refreshSessions();
   } catch (err) {
+    if (err.status === 409) {
+      el("sessionModal").hidden = true;
+      await onVersionConflict(err);
+      return;
+    }
     toast(err.message, true);
   }
 }
 
-// bookings UI
-async function loadAndRenderBookings(sessionId) {
+// Статус сеанса в окне редактирования: текущий и доступные ручные переходы (их присылает сервер)
+const SESSION_STATUS_ACTIONS = {
+  on_sale: { label: "Открыть продажи", icon: "fa-cash-register", className: "btn-primary" },
+  scheduled: { label: "Снять с продажи", icon: "fa-pause", className: "btn-secondary" },
+  cancelled: { label: "Отменить сеанс", icon: "fa-ban", className: "btn-danger" }
+};
+
+function renderSessionStatusActions(s) {
+  el("sStatusRow").hidden = false;
+  el("sStatusActions").innerHTML = sessionStatusBadge(s.status) + s.transitions
+    .map(status => {
+      const a = SESSION_STATUS_ACTIONS[status];
+      return `<button class="btn ${a.className}" type="button" data-status="${status}"><i class="fas ${a.icon}"></i> ${a.label}</button>`;
+    })
+    .join("");
+  el("sStatusActions").querySelectorAll("[data-status]").forEach(btn =>
+    btn.addEventListener("click", () => onChangeSessionStatus(s, btn.dataset.status))
+  );
+  setSessionFormLocked(s.status === "cancelled");
+}
+
+// отменённый сеанс только просматривается
+function setSessionFormLocked(locked) {
+  ["sMovie", "sStart", "sDuration", "sHall", "sPrice"].forEach(id => (el(id).disabled = locked));
+  el("sSave").hidden = locked;
+}
+
+async function onChangeSessionStatus(s, status) {
+  let reason;
+  if (status === "cancelled") {
+    const booked = (s.bookings || []).filter(b => b.status === "confirmed").length;
+    reason = prompt(`Отменить сеанс? Подтверждённые брони (${booked}) сохранятся со статусом «отменена» для возврата денег, временные будут сняты.\n\nПричина отмены:`);
+    if (reason === null) return;
+  }
+
   try {
-    console.log("Загрузка броней для сеанса:", sessionId);
-    const s = await api(`/api/sessions/${sessionId}`);
-    renderBookingsPanel(s);
+    const result = await api(`/api/sessions/${s.id}/status`, {
+      method: "POST",
+      headers: ifMatch(el("sessionForm").dataset.version),
+      body: JSON.stringify({ status, reason })
+    });
+    toast(status === "cancelled"
+      ? `Сеанс отменён, броней к возврату: ${result.cancelled_bookings}`
+      : `Статус сеанса: ${SESSION_STATUS_LABELS[result.status]}`);
+    notifyPromoted(result);
+    el("sessionModal").hidden = true;
+    await refreshSessions();
   } catch (err) {
-    console.error("Ошибка загрузки броней:", err);
-    toast("Ошибка загрузки броней: " + err.message, true);
+    if (err.status === 409) {
+      el("sessionModal").hidden = true;
+      await onVersionConflict(err);
+      return;
+    }
+    toast(err.message, true);
   }
 }
 
-function renderBookingsPanel(sessionObj) {
-  resetBookingForm();
+// ---------------- halls UI ----------------
+async function reloadConfig() {
+  CONFIG = await api("/api/config");
+  renderConfigLine();
+  loadHalls();
+  loadMovies();
+}
 
-  if (!sessionObj) {
-    el("selectedSessionLine").innerHTML =
-      '<div class="placeholder"><i class="fas fa-film"></i> Выберите сеанс для просмотра броней</div>';
-    el("bookingsTable").querySelector("tbody").innerHTML = "";
-    el("bookingsStats").textContent = "0 броней";
-    return;
-  }
+function renderConfigLine() {
+  el("configLine").innerHTML =
+    `<i class="fas fa-clock"></i> Техпауза M = ${CONFIG.pauseMinutes} мин · ` +
+    `<i class="fas fa-ticket-alt"></i> Лимит N = ${CONFIG.maxTicketsPerPerson} билетов в одни руки`;
+}
 
-  const bookings = Array.isArray(sessionObj.bookings) ? sessionObj.bookings : [];
-  const booked = bookings.reduce((a, b) => a + Number(b.tickets || 0), 0);
-  const capacity = sessionObj.hall_capacity || 0;
-  const statusClass = getStatusClass(booked, capacity);
-  
-  el("selectedSessionLine").innerHTML = `
-    <div style="display: flex; justify-content: space-between; align-items: center;">
-      <div>
-        <h4 style="margin: 0 0 8px 0; color: var(--text);">
-          <i class="fas fa-film"></i> ${escapeHtml(sessionObj.movie)}
-        </h4>
-        <div style="color: var(--text-light); font-size: 13px;">
-          <i class="fas fa-calendar"></i> ${new Date(sessionObj.start_at).toLocaleString("ru-RU")} • 
-          <i class="fas fa-door-open"></i> ${escapeHtml(sessionObj.hall_name)}
-        </div>
-      </div>
-      <div style="display: flex; align-items: center; gap: 12px;">
-        <span class="badge ${booked >= capacity ? "badge-danger" : booked >= capacity * 0.7 ? "badge-warning" : "badge-success"}">
-          <i class="fas fa-ticket-alt"></i> ${booked}/${capacity}
-        </span>
-        <span class="status-indicator ${statusClass}"></span>
-      </div>
-    </div>
-  `;
+// правила открытого сеанса учитывают переопределения его зала
+function maxTicketsPerPerson() {
+  return currentSession?.settings?.max_tickets_per_person ?? CONFIG?.maxTicketsPerPerson ?? 8;
+}
 
-  // таблица броней
-  const tbody = el("bookingsTable").querySelector("tbody");
-  tbody.innerHTML = "";
+// ---------------- live updates ----------------
+const LIVE_REFRESH_DELAY_MS = 300; // пачку событий (например, пакетное создание) применяем одним обновлением
+const CONFIG_ENTITIES = ["hall", "movie", "tariff", "surcharge", "settings"];
 
-  if (!Array.isArray(sessions)) sessions = [];
-  const sameMovieTargets = sessions
-    .filter(x => x.movie === sessionObj.movie && x.id !== sessionObj.id)
-    .map(x => ({
-      id: x.id,
-      label: `${new Date(x.start_at).toLocaleDateString("ru-RU", { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })} • ${x.hall_name}`
-    }));
+let eventSource = null;
+let liveRefreshTimer = null;
+let livePending = { panel: false, config: false, deleted: false };
 
-  let totalBookings = 0;
+function connectLiveUpdates() {
+  disconnectLiveUpdates();
+  let reconnected = false;
 
-  for (const b of bookings) {
-    totalBookings++;
-    const tr = document.createElement("tr");
+  eventSource = new EventSource("/api/events");
+  eventSource.addEventListener("change", (e) => onLiveChange(JSON.parse(e.data)));
+  eventSource.addEventListener("open", () => {
+    // пока не было связи, изменения могли пройти мимо — перечитываем всё
+    if (reconnected) scheduleLiveRefresh({ panel: true, config: true });
+    reconnected = true;
+  });
+  eventSource.addEventListener("error", () => {
+    // браузер переподключается сам, но не после ответа с ошибкой (например, 401)
+    if (eventSource?.readyState !== EventSource.CLOSED) return;
+    setTimeout(() => {
+      if (CURRENT_USER) api("/api/auth/me").then(connectLiveUpdates).catch(() => {});
+    }, 5000);
+  });
+}
 
-    const moveSelect = document.createElement("select");
-    moveSelect.innerHTML = `<option value="">— выбрать сеанс —</option>` + sameMovieTargets
-      .map(t => `<option value="${t.id}">${escapeHtml(t.label)}</option>`)
-      .join("");
-    moveSelect.style.minWidth = "240px";
+function disconnectLiveUpdates() {
+  if (eventSource) eventSource.close();
+  eventSource = null;
+}
 
-    const moveBtn = document.createElement("button");
-    moveBtn.className = "btn btn-secondary";
-    moveBtn.innerHTML = '<i class="fas fa-exchange-alt"></i> Перебросить';
-    moveBtn.disabled = true;
-    moveBtn.style.marginLeft = "8px";
+function onLiveChange(event) {
+  scheduleLiveRefresh({
+    panel: Boolean(selectedSessionId && event.session_ids.includes(selectedSessionId)),
+    config: CONFIG_ENTITIES.includes(event.entity),
+    deleted: event.action === "session.delete" && event.entity_id === selectedSessionId
+  });
+}
 
-    moveSelect.addEventListener("change", () => {
-      moveBtn.disabled = !moveSelect.value;
-    });
+function scheduleLiveRefresh({ panel, config, deleted = false }) {
+  livePending.panel = livePending.panel || panel;
+  livePending.config = livePending.config || config;
+  livePending.deleted = livePending.deleted || deleted;
+  clearTimeout(liveRefreshTimer);
+  liveRefreshTimer = setTimeout(applyLiveRefresh, LIVE_REFRESH_DELAY_MS);
+}
 
-    moveBtn.addEventListener("click", async () => {
-      if (!moveSelect.value) return;
-      if (!confirm(`Перебросить бронь "${b.customer_name}" на выбранный сеанс?`)) return;
-      
-      try {
-        await api(`/api/bookings/${b.id}/move`, {
-          method: "POST",
-          body: JSON.stringify({ toSessionId: moveSelect.value })
-        });
-        toast("Бронь успешно переброшена");
-        await refreshSessions();
-        await loadAndRenderBookings(selectedSessionId);
-      } catch (err) {
-        toast(err.message, true);
-      }
-    });
+async function applyLiveRefresh() {
+  const { panel, config, deleted } = livePending;
+  livePending = { panel: false, config: false, deleted: false };
 
-    const actionsTd = document.createElement("td");
-    actionsTd.className = "action-buttons";
+  try {
+    if (config) await reloadConfig();
+    // перечитываем столько, сколько уже прокручено, чтобы список не схлопывался до первой страницы
+    const generation = ++sessionsGeneration;
+    const page = await fetchSessionsPage({ limit: Math.min(MAX_SESSIONS_RELOAD, Math.max(SESSIONS_PAGE_SIZE, sessions.length)) });
+    if (generation === sessionsGeneration) {
+      sessions = page.sessions;
+      sessionsCursor = page.next_cursor;
+      renderSessions();
+    }
 
-    const editBtn = document.createElement("button");
-    editBtn.className = "btn btn-secondary";
-    editBtn.innerHTML = '<i class="fas fa-edit"></i>';
-    editBtn.title = "Редактировать";
-    editBtn.addEventListener("click", () => {
-      el("bName").value = b.customer_name;
-      el("bTickets").value = b.tickets;
-      el("bEditingId").value = b.id;
-      el("bSubmit").innerHTML = '<i class="fas fa-save"></i> Сохранить';
-      el("bCancel").hidden = false;
-    });
+    if (selectedSessionId && deleted) {
+      selectedSessionId = null;
+      renderBookingsPanel(null);
+      toast("Открытый сеанс удалён на другой кассе", true);
+    } else if (selectedSessionId && (panel || config)) {
+      await loadAndRenderBookings(selectedSessionId, { keepForm: true });
+    }
 
-    const delBtn = document.createElement("button");
-    delBtn.className = "btn btn-danger";
-    delBtn.innerHTML = '<i class="fas fa-trash"></i>';
-    delBtn.title = "Удалить";
-    delBtn.addEventListener("click", async () => {
-      if (!confirm(`Удалить бронь "${b.customer_name}"?`)) return;
+    // сеанс, который сейчас тащат, не перерисовываем из-под курсора
+    if (!el("timelineView").hidden && !el("timeline").querySelector(".tl-dragging")) await loadTimeline();
+  } catch (err) {
+    console.error("Ошибка живого обновления:", err);
+  }
+}
+
+// ---------------- tabs ----------------
+function switchTab(viewId) {
+  document.querySelectorAll(".tab").forEach(t => t.classList.toggle("active", t.dataset.tab === viewId));
+  document.querySelectorAll(".tab-view").forEach(v => (v.hidden = v.id !== viewId));
+
+  if (viewId === "reportsView" && !el("rFrom").value) {
+    el("rTo").value = businessDate();
+    el("rFrom").value = businessDate(Date.now() - 29 * 86_400_000);
+    loadReport();
+  }
+  if (viewId === "timelineView") loadTimeline();
+}
+
+// ---------------- reports UI ----------------
+async function loadReport() {
+  const from = el("rFrom").value;
+  const to = el("rTo").value;
+
+  try {
+    const report = await api(`/api/reports/occupancy?from=${from}&to=${to}`);
+    renderReport(report);
+
+    document.querySelectorAll(".csv-link").forEach(a => {
+      a.href = `/api/reports/occupancy.csv?from=${from}&to=${to}&section=${a.dataset.section}`;
+    });
+  } catch (err) {
+    toast("Ошибка загрузки отчёта: " + err.message, true);
+  }
+}
+
+function renderReport(report) {
+  const t = report.totals;
+  el("reportTotals").innerHTML = [
+    ["Сеансов", t.sessions],
+    ["Продано билетов", t.booked],
+    ["Мест в продаже", t.capacity],
+    ["Заполняемость", `${t.occupancy}%`],
+    ["Выручка", formatMoney(t.revenue)]
+  ].map(([label, value]) => `
+    <div class="report-total">
+      <div class="value">${escapeHtml(value)}</div>
+      <div class="label">${escapeHtml(label)}</div>
+    </div>
+  `).join("");
+
+  const groupHead = `<tr><th>Название</th><th>Сеансов</th><th>Билетов</th><th>Мест</th><th>Заполняемость</th><th>Выручка</th></tr>`;
+  const groupRow = (g) => `
+    <tr>
+      <td><strong>${escapeHtml(g.label)}</strong></td>
+      <td>${g.sessions}</td>
+      <td>${g.booked}</td>
+      <td>${g.capacity}</td>
+      <td><span class="status-indicator ${getStatusClass(g.booked, g.capacity)}"></span>${g.occupancy}%</td>
+      <td>${formatMoney(g.revenue)}</td>
+    </tr>
+  `;
+  const empty = `<tr><td colspan="6" style="text-align: center; color: var(--text-light);">Нет сеансов за период</td></tr>`;
+  const fill = (id, rows) => {
+    el(id).innerHTML = `<thead>${groupHead}</thead><tbody>${rows.length ? rows.map(groupRow).join("") : empty}</tbody>`;
+  };
+
+  fill("reportTopFilms", report.topFilms);
+  fill("reportFilms", report.films);
+  fill("reportHalls", report.halls);
+  fill("reportWeekdays", report.weekdays);
+
+  el("reportSessions").innerHTML = `
+    <thead><tr><th>Начало</th><th>Фильм</th><th>Зал</th><th>Билетов</th><th>Заполняемость</th><th>Выручка</th></tr></thead>
+    <tbody>${report.sessions.length ? report.sessions.map(s => `
+      <tr>
+        <td>${formatDateTime(s.start_at)}</td>
+        <td><strong>${escapeHtml(s.movie)}</strong></td>
+        <td>${escapeHtml(s.hall_name)}</td>
+        <td>${s.booked}/${s.capacity}</td>
+        <td><span class="status-indicator ${getStatusClass(s.booked, s.capacity)}"></span>${s.occupancy}%</td>
+        <td>${formatMoney(s.revenue)}</td>
+      </tr>
+    `).join("") : empty}</tbody>
+  `;
+  // отменённые сеансы в заполняемость не входят: их брони — к возврату
+  const c = report.cancelledTotals;
+  el("reportCancelled").innerHTML = `
+    <thead><tr><th>Начало</th><th>Фильм</th><th>Зал</th><th>Причина</th><th>Броней / билетов</th><th>К возврату</th></tr></thead>
+    <tbody>${report.cancelled.length ? report.cancelled.map(s => `
+      <tr>
+        <td>${formatDateTime(s.start_at)}</td>
+        <td><strong>${escapeHtml(s.movie)}</strong></td>
+        <td>${escapeHtml(s.hall_name)}</td>
+        <td>${escapeHtml(s.cancel_reason || "—")}</td>
+        <td>${s.bookings} / ${s.tickets}</td>
+        <td>${formatMoney(s.refund)}</td>
+      </tr>
+    `).join("") + `
+      <tr>
+        <td colspan="4"><strong>Итого: ${c.sessions} сеансов</strong></td>
+        <td><strong>${c.bookings} / ${c.tickets}</strong></td>
+        <td><strong>${formatMoney(c.refund)}</strong></td>
+      </tr>` : `<tr><td colspan="6" style="text-align: center; color: var(--text-light);">Отменённых сеансов нет</td></tr>`}</tbody>
+  `;
+}
+
+// ---------------- timeline ----------------
+const TL_MINUTE_PX = 1.5;     // 90 px на час
+const TL_SNAP_MINUTES = 5;
+const TL_LANE_LABEL_PX = 140;
+
+let timelineDate = null;      // рабочий день на шкале
+let timelineSessions = [];
+let timelineConflictId = null; // сеанс, с которым сервер нашёл пересечение
+
+function timelineDayStartMs() {
+  const hour = String(CONFIG?.businessDayStartHour ?? 0).padStart(2, "0");
+  return Date.parse(`${timelineDate}T${hour}:00Z`);
+}
+
+// минуты от начала рабочего дня по часам кинотеатра
+function timelineMinutes(iso) {
+  return (Date.parse(`${toLocalInputValue(iso)}Z`) - timelineDayStartMs()) / 60_000;
+}
+
+// обратно — время без смещения, его сервер читает по часам кинотеатра
+function timelineStartAt(minutes) {
+  return new Date(timelineDayStartMs() + minutes * 60_000).toISOString().slice(0, 16);
+}
+
+function hallPause(hallId) {
+  return CONFIG?.halls?.find(h => h.id === hallId)?.settings?.pause_minutes ?? CONFIG?.pauseMinutes ?? 0;
+}
+
+function shiftTimelineDate(days) {
+  const d = new Date(Date.parse(`${el("tlDate").value || businessDate()}T12:00:00Z`) + days * 86_400_000);
+  el("tlDate").value = d.toISOString().slice(0, 10);
+  timelineConflictId = null;
+  hideTimelineStatus();
+  loadTimeline();
+}
+
+async function loadTimeline() {
+  if (!el("tlDate").value) el("tlDate").value = businessDate();
+  timelineDate = el("tlDate").value;
+  try {
+    timelineSessions = (await api(`/api/sessions?date=${encodeURIComponent(timelineDate)}&limit=500`)).sessions;
+    renderTimeline();
+  } catch (err) {
+    toast("Ошибка загрузки расписания: " + err.message, true);
+  }
+}
+
+function renderTimeline() {
+  const root = el("timeline");
+  const dayMinutes = 24 * 60;
+  root.style.setProperty("--hour-px", `${60 * TL_MINUTE_PX}px`);
+  root.style.setProperty("--label-px", `${TL_LANE_LABEL_PX}px`);
+  root.style.width = `${TL_LANE_LABEL_PX + dayMinutes * TL_MINUTE_PX}px`;
+
+  const startHour = CONFIG?.businessDayStartHour ?? 0;
+  const ticks = Array.from({ length: 24 }, (_, i) =>
+    `<span style="left: ${i * 60 * TL_MINUTE_PX}px">${String((startHour + i) % 24).padStart(2, "0")}:00</span>`).join("");
+  root.innerHTML = `<div class="tl-scale"><div class="tl-ticks">${ticks}</div></div>`;
+
+  for (const hall of CONFIG?.halls || []) {
+    const lane = document.createElement("div");
+    lane.className = "tl-lane";
+    lane.innerHTML = `
+      <div class="tl-lane-label">
+        <strong>${escapeHtml(hall.name)}</strong>
+        <small>${Number(hall.capacity)} мест · пауза ${hallPause(hall.id)} мин</small>
+      </div>
+      <div class="tl-track" data-hall-id="${escapeHtml(hall.id)}"></div>
+    `;
+    const track = lane.querySelector(".tl-track");
+    for (const s of timelineSessions.filter(x => x.hall_id === hall.id)) track.appendChild(renderTimelineBlock(s));
+    root.appendChild(lane);
+  }
+}
+
+function renderTimelineBlock(s) {
+  const start = timelineMinutes(s.start_at);
+  const started = Date.parse(s.start_at) <= Date.now();
+  const block = document.createElement("div");
+  block.className = "tl-block";
+  block.classList.toggle("tl-started", started);
+  block.classList.toggle("tl-cancelled", s.status === "cancelled");
+  block.classList.toggle("tl-conflict", s.id === timelineConflictId);
+  block.classList.toggle("tl-selected", s.id === selectedSessionId);
+  block.style.left = `${start * TL_MINUTE_PX}px`;
+  block.style.width = `${(s.duration_min + hallPause(s.hall_id)) * TL_MINUTE_PX}px`;
+  block.title = `${s.movie}\n${formatTime(s.start_at)}, ${minutesToHHMM(s.duration_min)}\nПродано ${s.booked_tickets} из ${s.hall_capacity}\n${SESSION_STATUS_LABELS[s.status]}`;
+  block.innerHTML = `
+    <div class="tl-main" style="width: ${s.duration_min * TL_MINUTE_PX}px">
+      <strong>${escapeHtml(s.movie)}</strong>
+      <small class="tl-time">${timelineRange(start, s.duration_min)}</small>
+      <small>${Number(s.booked_tickets)}/${Number(s.hall_capacity)}</small>
+    </div>
+    <div class="tl-pause" title="Техпауза ${hallPause(s.hall_id)} мин"></div>
+  `;
+  block.addEventListener("pointerdown", (e) => startTimelineDrag(e, s, block));
+  return block;
+}
+
+function timelineRange(start, duration) {
+  const time = (m) => timelineStartAt(m).slice(11, 16);
+  return `${time(start)}–${time(start + duration)}`;
+}
+
+function timelineTrackAt(y) {
+  return [...el("timeline").querySelectorAll(".tl-track")].find(t => {
+    const r = t.getBoundingClientRect();
+    return y >= r.top && y < r.bottom;
+  });
+}
+
+// без сдвига — это клик: открываем сеанс в кассе. Начавшиеся и отменённые сеансы, роль кассира — только клик
+function startTimelineDrag(e, s, block) {
+  if (e.button !== 0) return;
+  const canDrag = CURRENT_USER?.role === "admin" && !block.classList.contains("tl-started") && !block.classList.contains("tl-cancelled");
+  const originX = e.clientX;
+  const originLeft = timelineMinutes(s.start_at);
+  let minutes = originLeft;
+  let moved = false;
+
+  // слушаем окно, а не блок: при смене зала блок переезжает в другую дорожку
+  const onMove = (ev) => {
+    if (!canDrag) return;
+    if (!moved && Math.abs(ev.clientX - originX) < 4 && timelineTrackAt(ev.clientY) === block.parentElement) return;
+    moved = true;
+    block.classList.add("tl-dragging");
+
+    const raw = originLeft + (ev.clientX - originX) / TL_MINUTE_PX;
+    minutes = Math.max(0, Math.round(raw / TL_SNAP_MINUTES) * TL_SNAP_MINUTES);
+    block.style.left = `${minutes * TL_MINUTE_PX}px`;
+
+    const track = timelineTrackAt(ev.clientY);
+    if (track && track !== block.parentElement) {
+      track.appendChild(block);
+      block.style.width = `${(s.duration_min + hallPause(track.dataset.hallId)) * TL_MINUTE_PX}px`;
+    }
+    block.querySelector(".tl-time").textContent = timelineRange(minutes, s.duration_min);
+  };
+
+  const onEnd = async (ev) => {
+    window.removeEventListener("pointermove", onMove);
+    window.removeEventListener("pointerup", onEnd);
+    window.removeEventListener("pointercancel", onEnd);
+    block.classList.remove("tl-dragging");
+
+    if (!moved) {
+      if (ev.type === "pointerup") await openSessionFromTimeline(s);
+      return;
+    }
+    if (ev.type === "pointercancel") return renderTimeline();
+
+    const hallId = block.parentElement.dataset.hallId;
+    if (hallId === s.hall_id && minutes === originLeft) return;
+    await rescheduleFromTimeline(s, hallId, minutes);
+  };
+
+  window.addEventListener("pointermove", onMove);
+  window.addEventListener("pointerup", onEnd);
+  window.addEventListener("pointercancel", onEnd);
+}
+
+async function openSessionFromTimeline(s) {
+  switchTab("cashierView");
+  selectedSessionId = s.id;
+  await loadAndRenderBookings(s.id);
+  renderSessions();
+}
+
+async function rescheduleFromTimeline(s, hallId, minutes) {
+  timelineConflictId = null;
+  const hall = CONFIG?.halls?.find(h => h.id === hallId);
+
+  // в меньший зал проданные билеты могут не поместиться — не ходим на сервер зря
+  if (hallId !== s.hall_id && hall && Number(s.booked_tickets) > hall.capacity) {
+    showTimelineStatus(`Нельзя перенести в «${hall.name}»: продано ${Number(s.booked_tickets)} билетов, а в зале ${hall.capacity} мест`);
+    renderTimeline();
+    return;
+  }
+
+  try {
+    await putSession(s.id, s.version, {
+      movie_id: s.movie_id,
+      start_at: timelineStartAt(minutes),
+      duration_min: s.duration_min,
+      hall_id: hallId,
+      base_price: s.base_price
+    });
+    hideTimelineStatus();
+    toast(`Сеанс «${s.movie}» перенесён: ${timelineRange(minutes, s.duration_min)}${hall ? `, ${hall.name}` : ""}`);
+  } catch (err) {
+    if (err.status === 409) {
+      toast(err.message, true);
+    } else {
+      timelineConflictId = err.details?.id || null;
+      showTimelineStatus(err.message, err.details);
+    }
+  }
+  await loadTimeline();
+}
+
+function showTimelineStatus(message, details) {
+  const parts = [escapeHtml(message)];
+  if (details?.start_at) {
+    const other = timelineSessions.find(x => x.id === details.id);
+    parts.push(`Мешает: ${escapeHtml(other?.movie || "сеанс")}, ${formatTime(details.start_at)}, ${minutesToHHMM(Number(details.duration_min))}`);
+  }
+  if (details?.newCapacity) parts.push(`Продано ${Number(details.booked)}, мест в зале ${Number(details.newCapacity)}`);
+  if (details?.seats) parts.push(`Нет мест: ${escapeHtml(formatSeats(details.seats))}`);
+  el("timelineStatus").innerHTML = `<i class="fas fa-exclamation-triangle"></i> ${parts.join(" · ")}`;
+  el("timelineStatus").hidden = false;
+}
+
+function hideTimelineStatus() {
+  el("timelineStatus").hidden = true;
+}
+
+// ---------------- staff accounts UI ----------------
+let users = [];
+
+async function onChangePassword(e) {
+  e.preventDefault();
+  try {
+    await api("/api/auth/password", {
+      method: "PUT",
+      body: JSON.stringify({ current_password: el("pwCurrent").value, new_password: el("pwNew").value })
+    });
+    toast("Пароль изменён");
+    el("passwordModal").hidden = true;
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+async function openUsersModal() {
+  resetUserForm();
+  el("usersModal").hidden = false;
+  await loadUsers();
+}
+
+async function loadUsers() {
+  try {
+    users = await api("/api/users");
+    renderUsersTable();
+  } catch (err) {
+    toast("Ошибка загрузки сотрудников: " + err.message, true);
+  }
+}
+
+function renderUsersTable() {
+  const tbody = el("usersTable").querySelector("tbody");
+  tbody.innerHTML = "";
+
+  for (const u of users) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td><small class="badge">${escapeHtml(u.username)}</small></td>
+      <td><strong>${escapeHtml(u.display_name)}</strong></td>
+      <td>${escapeHtml(ROLE_NAMES[u.role] || u.role)}</td>
+      <td>${u.active
+        ? '<span class="badge badge-success">активен</span>'
+        : '<span class="badge badge-danger">заблокирован</span>'}</td>
+      <td>
+        <div class="action-buttons">
+          <button class="btn btn-secondary" data-act="edit" title="Редактировать">
+            <i class="fas fa-edit"></i>
+          </button>
+          <button class="btn btn-danger" data-act="delete" title="Удалить">
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      </td>
+    `;
+
+    tr.querySelector('[data-act="edit"]').addEventListener("click", () => {
+      el("uUsername").value = u.username;
+      el("uUsername").disabled = true;
+      el("uDisplayName").value = u.display_name;
+      el("uRole").value = u.role;
+      el("uPassword").value = "";
+      el("uPassword").placeholder = "Оставьте пустым, чтобы не менять";
+      el("uActive").checked = u.active;
+      el("userForm").dataset.editingId = u.id;
+      el("uSave").innerHTML = '<i class="fas fa-save"></i> Сохранить';
+      el("uCancel").hidden = false;
+    });
+
+    tr.querySelector('[data-act="delete"]').addEventListener("click", async () => {
+      if (!confirm(`Удалить сотрудника "${u.display_name}"?`)) return;
+      try {
+        await api(`/api/users/${u.id}`, { method: "DELETE" });
+        toast("Сотрудник удалён");
+        resetUserForm();
+        await loadUsers();
+      } catch (err) {
+        toast(err.message, true);
+      }
+    });
+
+    tbody.appendChild(tr);
+  }
+}
+
+function resetUserForm() {
+  el("userForm").reset();
+  el("uUsername").disabled = false;
+  el("uPassword").placeholder = "Не меньше 6 символов";
+  el("userForm").dataset.editingId = "";
+  el("uSave").innerHTML = '<i class="fas fa-plus"></i> Добавить сотрудника';
+  el("uCancel").hidden = true;
+}
+
+async function onSaveUser(e) {
+  e.preventDefault();
+
+  const editingId = el("userForm").dataset.editingId;
+  const payload = {
+    display_name: el("uDisplayName").value.trim(),
+    role: el("uRole").value,
+    active: el("uActive").checked
+  };
+  if (el("uPassword").value) payload.password = el("uPassword").value;
+
+  try {
+    if (editingId) {
+      await api(`/api/users/${editingId}`, { method: "PUT", body: JSON.stringify(payload) });
+      toast("Сотрудник сохранён");
+    } else {
+      await api("/api/users", {
+        method: "POST",
+        body: JSON.stringify({ ...payload, username: el("uUsername").value.trim() })
+      });
+      toast("Сотрудник добавлен");
+    }
+    resetUserForm();
+    await loadUsers();
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+// ---------------- audit history UI ----------------
+const AUDIT_ACTIONS = {
+  "session.create": "Сеанс создан",
+  "session.update": "Сеанс изменён",
+  "session.delete": "Сеанс удалён",
+  "session.evacuate": "Брони перенесены с сеанса",
+  "session.status": "Статус сеанса изменён",
+  "booking.create": "Бронь создана",
+  "booking.update": "Бронь изменена",
+  "booking.merge": "Брони объединены",
+  "booking.move": "Бронь переброшена",
+  "booking.delete": "Бронь удалена",
+  "booking.cancel": "Бронь отменена вместе с сеансом",
+  "booking.confirm": "Бронь подтверждена",
+  "booking.expire": "Временная бронь истекла",
+  "booking.checkin": "Билет погашен на входе",
+  "waitlist.create": "Добавлен в лист ожидания",
+  "waitlist.promote": "Места выделены из листа ожидания",
+  "waitlist.expire": "Выделенные из листа ожидания места не выкуплены",
+  "waitlist.cancel": "Снят из листа ожидания: сеанс отменён",
+  "waitlist.delete": "Удалён из листа ожидания",
+  "user.create": "Сотрудник добавлен",
+  "user.update": "Сотрудник изменён",
+  "user.delete": "Сотрудник удалён",
+  "user.password": "Пароль изменён",
+  "customer.create": "Покупатель добавлен",
+  "customer.update": "Данные покупателя изменены",
+  "settings.update": "Правила изменены",
+  "hall.settings": "Правила зала изменены"
+};
+
+const AUDIT_FIELDS = {
+  customer_name: "ФИО",
+  tickets: "Билеты",
+  seats: "Места",
+  total_price: "Сумма",
+  session_id: "Сеанс",
+  start_at: "Начало",
+  duration_min: "Длительность",
+  hall_id: "Зал",
+  movie_id: "Фильм",
+  base_price: "Базовая цена",
+  status: "Статус"
+};
+
+const BOOKING_STATUS_LABELS = { hold: "временная", confirmed: "подтверждена", cancelled: "отменена" };
+
+function formatAuditValue(field, value, entity) {
+  if (value === null || value === undefined) return "—";
+  if (field === "seats") return formatSeats(value);
+  if (field === "status") return (entity === "session" ? SESSION_STATUS_LABELS : BOOKING_STATUS_LABELS)[value] || value;
+  if (field === "start_at") return formatDateTime(value);
+  if (field === "total_price" || field === "base_price") return formatMoney(value);
+  if (field === "movie_id") return CONFIG?.movies?.find(m => m.id === value)?.title || value;
+  if (field === "hall_id") return CONFIG?.halls?.find(h => h.id === value)?.name || value;
+  if (field === "session_id") {
+    const s = sessions.find(x => x.id === value);
+    return s ? `${formatDateTime(s.start_at)} • ${s.hall_name}` : value;
+  }
+  return String(value);
+}
+
+// поля, которые отличаются в снимках до/после; при создании и удалении — весь снимок
+function describeAuditChange(entry) {
+  const fields = Object.keys(AUDIT_FIELDS).filter(f => (entry.before && f in entry.before) || (entry.after && f in entry.after));
+  const lines = [];
+  for (const f of fields) {
+    const before = entry.before?.[f];
+    const after = entry.after?.[f];
+    if (entry.before && entry.after) {
+      if (JSON.stringify(before) === JSON.stringify(after)) continue;
+      lines.push(`${AUDIT_FIELDS[f]}: ${formatAuditValue(f, before, entry.entity)} → ${formatAuditValue(f, after, entry.entity)}`);
+    } else {
+      lines.push(`${AUDIT_FIELDS[f]}: ${formatAuditValue(f, before ?? after, entry.entity)}`);
+    }
+  }
+  if (entry.details?.mergedInto) lines.push("Объединена с другой бронью того же покупателя");
+  if (entry.details?.reason === "session.delete") lines.push("Удалена вместе с сеансом");
+  if (entry.details?.source === "evacuate") lines.push("Перенесена при эвакуации сеанса");
+  if (entry.action === "booking.delete" && entry.details?.reason === "session.cancel") lines.push("Временная бронь снята при отмене сеанса");
+  if (entry.action === "session.status" && entry.details?.reason) lines.push(`Причина: ${entry.details.reason}`);
+  if (entry.action === "session.evacuate") lines.push(`Перенесено броней: ${entry.details.moved}, билетов: ${entry.details.tickets}`);
+  return lines;
+}
+
+async function openHistoryModal(title, query) {
+  el("historyTitle").textContent = title;
+  el("historyTable").querySelector("tbody").innerHTML = "";
+  el("historyModal").hidden = false;
+
+  try {
+    const entries = await api(`/api/audit?${new URLSearchParams(query)}`);
+    renderHistory(entries);
+  } catch (err) {
+    toast("Ошибка загрузки истории: " + err.message, true);
+  }
+}
+
+function renderHistory(entries) {
+  const tbody = el("historyTable").querySelector("tbody");
+  tbody.innerHTML = "";
+
+  if (entries.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="4" style="text-align: center; color: var(--text-light);">Изменений нет</td></tr>`;
+    return;
+  }
+
+  for (const entry of entries) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${formatDateTime(entry.at)}</td>
+      <td>${escapeHtml(entry.actor)}</td>
+      <td><strong>${escapeHtml(AUDIT_ACTIONS[entry.action] || entry.action)}</strong></td>
+      <td><small>${describeAuditChange(entry).map(escapeHtml).join("<br>")}</small></td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+// ---------------- schedule import UI ----------------
+function openImportModal() {
+  el("iFile").value = "";
+  el("iContent").value = "";
+  renderImportReport(null);
+  el("importModal").hidden = false;
+}
+
+async function onImportFileChosen() {
+  const file = el("iFile").files[0];
+  if (!file) return;
+  el("iContent").value = await file.text();
+  renderImportReport(null);
+}
+
+// JSON — массив строк или { rows: [...] }, всё остальное считаем CSV
+function importPayload(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    const parsed = JSON.parse(trimmed);
+    return { rows: Array.isArray(parsed) ? parsed : parsed.rows };
+  }
+  return { csv: text };
+}
+
+async function runImport(dryRun) {
+  const text = el("iContent").value;
+  if (!text.trim()) {
+    toast("Выберите файл или вставьте содержимое", true);
+    return;
+  }
+
+  let payload;
+  try {
+    payload = importPayload(text);
+  } catch (err) {
+    toast("Неверный JSON: " + err.message, true);
+    return;
+  }
+
+  try {
+    const res = await fetch("/api/schedule/import", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...payload, dry_run: dryRun })
+    });
+    const data = await res.json().catch(() => ({}));
+    // при ошибках построчный отчёт приходит в details
+    const report = data.rows ? data : data.details;
+    if (!report?.rows) throw new Error(data.error || `Ошибка запроса: ${res.status}`);
+
+    renderImportReport(report);
+    if (!dryRun && res.ok) {
+      toast(`Импортировано сеансов: ${report.valid}`);
+      el("iCommit").disabled = true;
+      await refreshSessions();
+    } else if (!dryRun) {
+      toast(data.error, true);
+    }
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+function renderImportReport(report) {
+  const tbody = el("importTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  el("importSummary").hidden = !report;
+  el("iCommit").disabled = !report || !report.dry_run || report.errors > 0;
+  if (!report) return;
+
+  el("importSummary").innerHTML = report.errors
+    ? `<div class="skipped">Строк: ${report.total}, с ошибками: ${report.errors}. Исправьте файл — импорт выполняется только целиком.</div>`
+    : `<div>Строк: ${report.total}, ошибок нет.${report.dry_run ? " Можно импортировать." : " Расписание сохранено."}</div>`;
+
+  for (const r of report.rows) {
+    const s = r.session;
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${r.row}</td>
+      <td>${s ? `<strong>${escapeHtml(s.movie)}</strong>` : "—"}</td>
+      <td>${s ? formatDateTime(s.start_at) : "—"}</td>
+      <td>${s ? escapeHtml(s.hall_name) : "—"}</td>
+      <td>${r.ok
+        ? `<span style="color: var(--success);"><i class="fas fa-check"></i> OK</span>`
+        : `<span class="skipped">${escapeHtml(r.reason)}${r.conflict ? ` (${formatDateTime(r.conflict.start_at)})` : ""}</span>`}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+// ---------------- schedule packing UI ----------------
+let packProposal = [];
+
+function openPackModal() {
+  el("pHall").innerHTML = (CONFIG?.halls || [])
+    .map(h => `<option value="${escapeHtml(h.id)}">${escapeHtml(h.name)}</option>`)
+    .join("");
+  el("pDate").value = businessDate(Date.now() + 86_400_000);
+  el("pFilms").innerHTML = "";
+  addPackFilmRow();
+  renderPackProposal([], []);
+  el("packModal").hidden = false;
+}
+
+function addPackFilmRow() {
+  const row = document.createElement("div");
+  row.className = "pack-film";
+  row.innerHTML = `
+    <select data-field="movie">${(CONFIG?.movies || [])
+      .map(m => `<option value="${escapeHtml(m.id)}">${escapeHtml(m.title)} — ${minutesToHHMM(m.runtime_min)}</option>`)
+      .join("")}</select>
+    <input data-field="count" type="number" min="1" step="1" value="2" title="Показов" />
+    <button class="btn btn-secondary" type="button" title="Убрать"><i class="fas fa-times"></i></button>
+  `;
+  row.querySelector("button").addEventListener("click", () => row.remove());
+  el("pFilms").appendChild(row);
+}
+
+function renderPackProposal(proposal, unplaced) {
+  packProposal = proposal;
+  const tbody = el("packTable").querySelector("tbody");
+  tbody.innerHTML = "";
+
+  for (const s of proposal) {
+    const start = new Date(s.start_at);
+    const end = new Date(start.getTime() + s.duration_min * 60_000);
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${formatDateTime(start)}</td>
+      <td>${formatTime(end)}</td>
+      <td><strong>${escapeHtml(s.movie)}</strong></td>
+      <td>${minutesToHHMM(s.duration_min)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+
+  el("packUnplaced").hidden = unplaced.length === 0;
+  el("packUnplaced").innerHTML = `<div class="skipped">Не поместилось:</div><ul class="skipped">${unplaced
+    .map(u => `<li>${escapeHtml(u.movie)} — ${u.missing} из ${u.requested}</li>`)
+    .join("")}</ul>`;
+  el("pCommit").disabled = proposal.length === 0;
+}
+
+async function onPackSchedule(e) {
+  e.preventDefault();
+
+  const films = [...el("pFilms").querySelectorAll(".pack-film")].map(row => ({
+    movie_id: row.querySelector('[data-field="movie"]').value,
+    count: Number(row.querySelector('[data-field="count"]').value)
+  }));
+  if (films.length === 0) {
+    toast("Добавьте хотя бы один фильм", true);
+    return;
+  }
+
+  try {
+    const result = await api("/api/schedule/pack", {
+      method: "POST",
+      body: JSON.stringify({
+        hall_id: el("pHall").value,
+        date: el("pDate").value,
+        open: el("pOpen").value,
+        close: el("pClose").value,
+        films
+      })
+    });
+    renderPackProposal(result.sessions, result.unplaced);
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+async function onCommitPackedSchedule() {
+  if (packProposal.length === 0) return;
+  if (!confirm(`Сохранить ${packProposal.length} сеансов?`)) return;
+
+  try {
+    await api("/api/sessions/batch", {
+      method: "POST",
+      body: JSON.stringify({ sessions: packProposal })
+    });
+    toast(`Расписание сохранено: ${packProposal.length} сеансов`);
+    renderPackProposal([], []);
+    el("packModal").hidden = true;
+    await refreshSessions();
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+// ---------------- evacuate session UI ----------------
+let evacuateSession = null; // сеанс, с которого переносятся брони
+let evacuatePlanned = false; // предпросмотр для текущего набора целей прошёл без неразмещённых броней
+
+function openEvacuateModal(sessionObj) {
+  evacuateSession = sessionObj;
+  el("evSessionLine").innerHTML = `
+    <i class="fas fa-film"></i> ${escapeHtml(sessionObj.movie)} •
+    <i class="fas fa-calendar"></i> ${formatDateTime(sessionObj.start_at)} •
+    <i class="fas fa-door-open"></i> ${escapeHtml(sessionObj.hall_name)} •
+    <i class="fas fa-ticket-alt"></i> броней: ${sessionObj.bookings.length}
+  `;
+
+  const targets = (sessionObj.move_targets || []).filter(x => x.id !== sessionObj.id && x.status === "on_sale");
+  el("evTargets").innerHTML = targets.length
+    ? targets.map(x => `
+        <label>
+          <input type="checkbox" value="${escapeHtml(x.id)}" checked />
+          ${formatDateTime(x.start_at, { weekday: "short", day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" })} •
+          ${escapeHtml(x.hall_name)} • свободно ${Number(x.hall_capacity) - Number(x.booked_tickets)}
+        </label>`).join("")
+    : `<div class="placeholder">Нет предстоящих сеансов этого фильма</div>`;
+  el("evTargets").querySelectorAll("input").forEach(cb => cb.addEventListener("change", () => renderEvacuatePlan(null)));
+
+  renderEvacuatePlan(null);
+  el("evacuateModal").hidden = false;
+}
+
+function evacuateTargets() {
+  return [...el("evTargets").querySelectorAll("input:checked")].map(cb => cb.value);
+}
+
+function renderEvacuatePlan(plan) {
+  const tbody = el("evacuateTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  const targetLabel = (id) => {
+    const s = evacuateSession?.move_targets?.find(x => x.id === id);
+    return s ? `${formatDateTime(s.start_at, { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" })} • ${escapeHtml(s.hall_name)}` : escapeHtml(id);
+  };
+
+  for (const p of plan?.placed || []) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>
+        <strong>${escapeHtml(p.customer_name)}</strong>
+        ${p.status === "hold" ? `<small class="badge badge-warning">временная</small>` : ""}
+        ${p.mergedInto ? `<small class="badge" title="У покупателя уже есть бронь на этот сеанс">объединится</small>` : ""}
+      </td>
+      <td>${p.tickets}</td>
+      <td>${targetLabel(p.toSessionId)}</td>
+      <td>${escapeHtml(formatSeats(p.seats))}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+
+  const unplaced = plan?.unplaced || [];
+  el("evUnplaced").hidden = unplaced.length === 0;
+  el("evUnplaced").innerHTML = `<div class="skipped">Не нашлось места (${unplaced.length}):</div><ul class="skipped">${unplaced
+    .map(u => `<li>${escapeHtml(u.customer_name)} — ${u.tickets} бил.: ${u.reasons.map(r => escapeHtml(r.reason)).join("; ")}</li>`)
+    .join("")}</ul>`;
+
+  evacuatePlanned = Boolean(plan) && unplaced.length === 0 && plan.placed.length > 0;
+  el("evCommit").disabled = !evacuatePlanned;
+}
+
+async function onPreviewEvacuation(e) {
+  e.preventDefault();
+  const targets = evacuateTargets();
+  if (targets.length === 0) {
+    toast("Отметьте хотя бы один сеанс", true);
+    return;
+  }
+
+  try {
+    const plan = await api(`/api/sessions/${evacuateSession.id}/evacuate`, {
+      method: "POST",
+      body: JSON.stringify({ targets, dry_run: true })
+    });
+    renderEvacuatePlan(plan);
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+async function onCommitEvacuation() {
+  if (!evacuatePlanned) return;
+  if (!confirm("Перенести все брони сеанса по предложенному плану? Сеанс будет отменён, лист ожидания закрыт.")) return;
+
+  try {
+    const result = await api(`/api/sessions/${evacuateSession.id}/evacuate`, {
+      method: "POST",
+      body: JSON.stringify({ targets: evacuateTargets() })
+    });
+    toast(`Перенесено броней: ${result.placed.length}, сеанс отменён`);
+    el("evacuateModal").hidden = true;
+    await refreshSessions();
+  } catch (err) {
+    // пока смотрели предпросмотр, места могли раскупить — показываем свежий план
+    if (err.details?.unplaced) renderEvacuatePlan(err.details);
+    toast(err.message, true);
+  }
+}
+
+// ---------------- schedule templates UI ----------------
+const WEEKDAYS = ["пн", "вт", "ср", "чт", "пт", "сб", "вс"];
+let templates = [];
+
+async function openTemplatesModal() {
+  try {
+    templates = await api("/api/schedule-templates");
+    resetTemplateForm();
+    renderTemplatesTable();
+    el("generateReport").hidden = true;
+    el("templatesModal").hidden = false;
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+function renderTemplatesTable() {
+  const tbody = el("templatesTable").querySelector("tbody");
+  tbody.innerHTML = "";
+
+  for (const t of templates) {
+    const days = t.weekdays.length === 7 ? "ежедневно" : t.weekdays.map(d => WEEKDAYS[d - 1]).join(", ");
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td><strong>${escapeHtml(t.movie)}</strong></td>
+      <td>${escapeHtml(t.hall_name)}</td>
+      <td>${t.times.map(escapeHtml).join(", ")}<br><small>${escapeHtml(days)}</small></td>
+      <td>${escapeHtml(t.date_from)} — ${escapeHtml(t.date_to)}</td>
+      <td>
+        <div class="action-buttons">
+          <button class="btn btn-secondary" data-act="preview" title="Предпросмотр">
+            <i class="fas fa-eye"></i>
+          </button>
+          <button class="btn btn-primary" data-act="generate" title="Создать сеансы">
+            <i class="fas fa-magic"></i>
+          </button>
+          <button class="btn btn-secondary" data-act="edit" title="Редактировать">
+            <i class="fas fa-edit"></i>
+          </button>
+          <button class="btn btn-danger" data-act="delete" title="Удалить">
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      </td>
+    `;
+
+    tr.querySelector('[data-act="preview"]').addEventListener("click", () => generateFromTemplate(t, true));
+    tr.querySelector('[data-act="generate"]').addEventListener("click", () => {
+      if (!confirm(`Создать сеансы по шаблону "${t.movie}"?`)) return;
+      generateFromTemplate(t, false);
+    });
+
+    tr.querySelector('[data-act="edit"]').addEventListener("click", () => {
+      el("tId").value = t.id;
+      el("tMovie").value = t.movie_id;
+      el("tHall").value = t.hall_id;
+      el("tDateFrom").value = t.date_from;
+      el("tDateTo").value = t.date_to;
+      el("tDuration").value = minutesToHHMM(t.duration_min);
+      el("tPrice").value = t.base_price;
+      el("tTimes").value = t.times.join(", ");
+      el("tWeekdays").querySelectorAll("input").forEach(cb => (cb.checked = t.weekdays.includes(Number(cb.value))));
+      el("tSave").innerHTML = '<i class="fas fa-save"></i> Сохранить';
+      el("tCancel").hidden = false;
+    });
+
+    tr.querySelector('[data-act="delete"]').addEventListener("click", async () => {
+      if (!confirm(`Удалить шаблон "${t.movie}"? Созданные сеансы останутся.`)) return;
+      try {
+        await api(`/api/schedule-templates/${t.id}`, { method: "DELETE" });
+        toast("Шаблон удалён");
+        templates = await api("/api/schedule-templates");
+        renderTemplatesTable();
+      } catch (err) {
+        toast(err.message, true);
+      }
+    });
+
+    tbody.appendChild(tr);
+  }
+}
+
+async function generateFromTemplate(t, dryRun) {
+  try {
+    const result = await api(`/api/schedule-templates/${t.id}/generate`, {
+      method: "POST",
+      body: JSON.stringify({ dry_run: dryRun })
+    });
+
+    const slotLabel = (slot) => formatDateTime(slot.start_at);
+    el("generateReport").innerHTML = `
+      <strong>${dryRun ? "Предпросмотр" : "Результат"}: ${escapeHtml(t.movie)}, ${escapeHtml(t.hall_name)}</strong>
+      <div>${dryRun ? "Будет создано" : "Создано"}: ${result.created.length}</div>
+      <ul>${result.created.map(slot => `<li>${slotLabel(slot)}</li>`).join("")}</ul>
+      <div class="skipped">Пропущено: ${result.skipped.length}</div>
+      <ul class="skipped">${result.skipped
+        .map(slot => `<li>${slotLabel(slot)} — ${escapeHtml(slot.reason)}</li>`)
+        .join("")}</ul>
+    `;
+    el("generateReport").hidden = false;
+
+    if (!dryRun) {
+      toast(`Создано сеансов: ${result.created.length}, пропущено: ${result.skipped.length}`);
+      await refreshSessions();
+    }
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+function resetTemplateForm() {
+  const options = (list, label) => list.map(x => `<option value="${escapeHtml(x.id)}">${escapeHtml(label(x))}</option>`).join("");
+  el("tMovie").innerHTML = options(CONFIG?.movies || [], m => m.title);
+  el("tHall").innerHTML = options(CONFIG?.halls || [], h => h.name);
+  el("tWeekdays").innerHTML = WEEKDAYS
+    .map((d, i) => `<label><input type="checkbox" value="${i + 1}" checked /> ${d}</label>`)
+    .join("");
+
+  el("tId").value = "";
+  el("tDateFrom").value = businessDate();
+  el("tDateTo").value = businessDate(Date.now() + 6 * 86_400_000);
+  el("tTimes").value = "";
+  el("tPrice").value = CONFIG?.defaultBasePrice ?? 0;
+  const movie = CONFIG?.movies?.[0];
+  el("tDuration").value = movie ? minutesToHHMM(movie.runtime_min) : "02:00";
+  el("tSave").innerHTML = '<i class="fas fa-plus"></i> Добавить шаблон';
+  el("tCancel").hidden = true;
+}
+
+async function onSaveTemplate(e) {
+  e.preventDefault();
+
+  const id = el("tId").value;
+  const duration_min = parseDurationToMinutes(el("tDuration").value);
+  if (duration_min == null) {
+    toast("Длительность должна быть в формате чч:мм (например, 02:15)", true);
+    return;
+  }
+
+  const times = el("tTimes").value.split(",").map(t => t.trim()).filter(Boolean)
+    .map(t => (/^\d:\d{2}$/.test(t) ? `0${t}` : t));
+  const weekdays = [...el("tWeekdays").querySelectorAll("input:checked")].map(cb => Number(cb.value));
+
+  const payload = {
+    movie_id: el("tMovie").value,
+    hall_id: el("tHall").value,
+    date_from: el("tDateFrom").value,
+    date_to: el("tDateTo").value,
+    duration_min,
+    base_price: Number(el("tPrice").value),
+    times,
+    weekdays
+  };
+
+  try {
+    if (id) {
+      await api(`/api/schedule-templates/${id}`, { method: "PUT", body: JSON.stringify(payload) });
+      toast("Шаблон сохранён");
+    } else {
+      await api("/api/schedule-templates", { method: "POST", body: JSON.stringify(payload) });
+      toast("Шаблон добавлен");
+    }
+
+    templates = await api("/api/schedule-templates");
+    renderTemplatesTable();
+    resetTemplateForm();
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+// ---------------- pricing UI ----------------
+let surcharges = [];
+
+async function openPricingModal() {
+  try {
+    surcharges = await api("/api/surcharges");
+    renderTariffsTable();
+    renderSurchargesTable();
+    resetSurchargeForm();
+    el("pricingModal").hidden = false;
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+function renderTariffsTable() {
+  const tbody = el("tariffsTable").querySelector("tbody");
+  tbody.innerHTML = "";
+
+  for (const t of CONFIG?.tariffs || []) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td><strong>${escapeHtml(t.name)}</strong></td>
+      <td><input type="number" min="0" max="100" step="1" value="${Number(t.discount_percent)}" style="width: 100px;" /></td>
+      <td>
+        <button class="btn btn-secondary" data-act="save" title="Сохранить">
+          <i class="fas fa-save"></i>
+        </button>
+      </td>
+    `;
+
+    tr.querySelector('[data-act="save"]').addEventListener("click", async () => {
+      try {
+        await api(`/api/tariffs/${t.id}`, {
+          method: "PUT",
+          body: JSON.stringify({ name: t.name, discount_percent: Number(tr.querySelector("input").value) })
+        });
+        toast("Тариф сохранён");
+        await reloadConfig();
+        renderTariffsTable();
+      } catch (err) {
+        toast(err.message, true);
+      }
+    });
+
+    tbody.appendChild(tr);
+  }
+}
+
+function renderSurchargesTable() {
+  const tbody = el("surchargesTable").querySelector("tbody");
+  tbody.innerHTML = "";
+
+  const hallName = (id) => (CONFIG?.halls || []).find(h => h.id === id)?.name || id;
+
+  for (const sc of surcharges) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td><strong>${escapeHtml(sc.name)}</strong></td>
+      <td>${sc.hall_id ? escapeHtml(hallName(sc.hall_id)) : "Все залы"}</td>
+      <td>${sc.time_from ? `${escapeHtml(sc.time_from)}–${escapeHtml(sc.time_to)}` : "Весь день"}</td>
+      <td>${sc.amount > 0 ? "+" : ""}${formatMoney(sc.amount)}</td>
+      <td>
+        <div class="action-buttons">
+          <button class="btn btn-secondary" data-act="edit" title="Редактировать">
+            <i class="fas fa-edit"></i>
+          </button>
+          <button class="btn btn-danger" data-act="delete" title="Удалить">
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      </td>
+    `;
+
+    tr.querySelector('[data-act="edit"]').addEventListener("click", () => {
+      el("scId").value = sc.id;
+      el("scName").value = sc.name;
+      el("scHall").value = sc.hall_id || "";
+      el("scFrom").value = sc.time_from || "";
+      el("scTo").value = sc.time_to || "";
+      el("scAmount").value = sc.amount;
+      el("scSave").innerHTML = '<i class="fas fa-save"></i> Сохранить';
+      el("scCancel").hidden = false;
+    });
+
+    tr.querySelector('[data-act="delete"]').addEventListener("click", async () => {
+      if (!confirm(`Удалить надбавку "${sc.name}"?`)) return;
+      try {
+        await api(`/api/surcharges/${sc.id}`, { method: "DELETE" });
+        toast("Надбавка удалена");
+        surcharges = await api("/api/surcharges");
+        renderSurchargesTable();
+        resetSurchargeForm();
+      } catch (err) {
+        toast(err.message, true);
+      }
+    });
+
+    tbody.appendChild(tr);
+  }
+}
+
+function resetSurchargeForm() {
+  el("scHall").innerHTML = `<option value="">Все залы</option>` + (CONFIG?.halls || [])
+    .map(h => `<option value="${escapeHtml(h.id)}">${escapeHtml(h.name)}</option>`)
+    .join("");
+  el("scId").value = "";
+  el("scName").value = "";
+  el("scHall").value = "";
+  el("scFrom").value = "";
+  el("scTo").value = "";
+  el("scAmount").value = "";
+  el("scSave").innerHTML = '<i class="fas fa-plus"></i> Добавить надбавку';
+  el("scCancel").hidden = true;
+}
+
+async function onSaveSurcharge(e) {
+  e.preventDefault();
+
+  const id = el("scId").value;
+  const payload = {
+    name: el("scName").value.trim(),
+    hall_id: el("scHall").value || null,
+    time_from: el("scFrom").value || null,
+    time_to: el("scTo").value || null,
+    amount: Number(el("scAmount").value)
+  };
+
+  try {
+    if (id) {
+      await api(`/api/surcharges/${id}`, { method: "PUT", body: JSON.stringify(payload) });
+      toast("Надбавка сохранена");
+    } else {
+      await api("/api/surcharges", { method: "POST", body: JSON.stringify(payload) });
+      toast("Надбавка добавлена");
+    }
+
+    surcharges = await api("/api/surcharges");
+    renderSurchargesTable();
+    resetSurchargeForm();
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+// ---------------- movies UI ----------------
+function openMoviesModal() {
+  resetMovieForm();
+  renderMoviesTable();
+  el("moviesModal").hidden = false;
+}
+
+function renderMoviesTable() {
+  const tbody = el("moviesTable").querySelector("tbody");
+  tbody.innerHTML = "";
+
+  for (const m of CONFIG?.movies || []) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td><strong>${escapeHtml(m.title)}</strong></td>
+      <td>${minutesToHHMM(Number(m.runtime_min))}</td>
+      <td><span class="badge">${escapeHtml(m.age_rating)}</span></td>
+      <td><small>${escapeHtml(m.description)}</small></td>
+      <td>
+        <div class="action-buttons">
+          <button class="btn btn-secondary" data-act="edit" title="Редактировать">
+            <i class="fas fa-edit"></i>
+          </button>
+          <button class="btn btn-danger" data-act="delete" title="Удалить">
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      </td>
+    `;
+
+    tr.querySelector('[data-act="edit"]').addEventListener("click", () => {
+      el("mId").value = m.id;
+      el("mTitle").value = m.title;
+      el("mRuntime").value = minutesToHHMM(Number(m.runtime_min));
+      el("mAgeRating").value = m.age_rating;
+      el("mDescription").value = m.description || "";
+      el("mSave").innerHTML = '<i class="fas fa-save"></i> Сохранить';
+      el("mCancel").hidden = false;
+    });
+
+    tr.querySelector('[data-act="delete"]').addEventListener("click", async () => {
+      if (!confirm(`Удалить фильм "${m.title}"?`)) return;
+      try {
+        await api(`/api/movies/${m.id}`, { method: "DELETE" });
+        toast("Фильм удалён");
+        await reloadConfig();
+        resetMovieForm();
+        renderMoviesTable();
+      } catch (err) {
+        toast(err.message, true);
+      }
+    });
+
+    tbody.appendChild(tr);
+  }
+}
+
+function resetMovieForm() {
+  el("mId").value = "";
+  el("mTitle").value = "";
+  el("mRuntime").value = "";
+  el("mAgeRating").value = CONFIG?.ageRatings?.[0] || "";
+  el("mDescription").value = "";
+  el("mSave").innerHTML = '<i class="fas fa-plus"></i> Добавить фильм';
+  el("mCancel").hidden = true;
+}
+
+async function onSaveMovie(e) {
+  e.preventDefault();
+
+  const id = el("mId").value;
+  const runtime_min = parseDurationToMinutes(el("mRuntime").value);
+  if (runtime_min == null || runtime_min <= 0) {
+    toast("Хронометраж должен быть в формате чч:мм (например, 02:15)", true);
+    return;
+  }
+
+  const payload = {
+    title: el("mTitle").value.trim(),
+    runtime_min,
+    age_rating: el("mAgeRating").value,
+    description: el("mDescription").value.trim()
+  };
+
+  try {
+    if (id) {
+      await api(`/api/movies/${id}`, { method: "PUT", body: JSON.stringify(payload) });
+      toast("Фильм сохранён");
+    } else {
+      await api("/api/movies", { method: "POST", body: JSON.stringify(payload) });
+      toast("Фильм добавлен");
+    }
+
+    await reloadConfig();
+    resetMovieForm();
+    renderMoviesTable();
+    await refreshSessions();
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+// ---------------- settings UI ----------------
+let settingsData = null;
+
+async function openSettingsModal() {
+  try {
+    settingsData = await api("/api/settings");
+    renderSettingsForm();
+    el("settingsModal").hidden = false;
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+function renderSettingsForm() {
+  const { definitions, values, halls } = settingsData;
+  const perHall = definitions.filter(d => d.perHall);
+
+  el("settingsGlobal").innerHTML = definitions.map(d => `
+    <div class="row">
+      <label>${escapeHtml(d.label)}</label>
+      <input type="number" step="1" min="${d.min}" max="${d.max}" data-setting="${escapeHtml(d.key)}"
+        value="${Number(values[d.key])}" required />
+    </div>
+  `).join("");
+
+  // пустое поле — зал живёт по общему правилу
+  el("settingsHallsTable").querySelector("thead").innerHTML = `
+    <tr><th>Зал</th>${perHall.map(d => `<th>${escapeHtml(d.label)}</th>`).join("")}</tr>
+  `;
+  el("settingsHallsTable").querySelector("tbody").innerHTML = halls.map(h => `
+    <tr data-hall-id="${escapeHtml(h.id)}">
+      <td><strong>${escapeHtml(h.name)}</strong></td>
+      ${perHall.map(d => `
+        <td>
+          <input type="number" step="1" min="${d.min}" max="${d.max}" data-setting="${escapeHtml(d.key)}"
+            value="${h.overrides[d.key] ?? ""}" placeholder="${Number(values[d.key])}" />
+        </td>
+      `).join("")}
+    </tr>
+  `).join("");
+}
+
+async function onSaveSettings(e) {
+  e.preventDefault();
+
+  const global = {};
+  el("settingsGlobal").querySelectorAll("[data-setting]").forEach(input => {
+    global[input.dataset.setting] = Number(input.value);
+  });
+
+  try {
+    await api("/api/settings", { method: "PUT", body: JSON.stringify(global) });
+
+    // отправляем только залы, где что-то поменялось
+    for (const tr of el("settingsHallsTable").querySelectorAll("tr[data-hall-id]")) {
+      const hall = settingsData.halls.find(h => h.id === tr.dataset.hallId);
+      const changes = {};
+      tr.querySelectorAll("[data-setting]").forEach(input => {
+        const key = input.dataset.setting;
+        const value = input.value === "" ? null : Number(input.value);
+        if (value !== (hall.overrides[key] ?? null)) changes[key] = value;
+      });
+      if (Object.keys(changes).length) {
+        await api(`/api/halls/${encodeURIComponent(hall.id)}/settings`, { method: "PUT", body: JSON.stringify(changes) });
+      }
+    }
+
+    toast("Правила сохранены");
+    el("settingsModal").hidden = true;
+    await reloadConfig();
+    if (selectedSessionId) await loadAndRenderBookings(selectedSessionId, { keepForm: true });
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+function openHallsModal() {
+  resetHallForm();
+  renderHallsTable();
+  el("hallsModal").hidden = false;
+}
+
+function renderHallsTable() {
+  const tbody = el("hallsTable").querySelector("tbody");
+  tbody.innerHTML = "";
+
+  for (const h of CONFIG?.halls || []) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td><small class="badge">${escapeHtml(h.id)}</small></td>
+      <td><strong>${escapeHtml(h.name)}</strong></td>
+      <td>${Number(h.rows_count)} × ${Number(h.seats_per_row)}</td>
+      <td>${Number(h.capacity)}</td>
+      <td>
+        <div class="action-buttons">
+          <button class="btn btn-secondary" data-act="edit" title="Редактировать">
+            <i class="fas fa-edit"></i>
+          </button>
+          <button class="btn btn-danger" data-act="delete" title="Удалить">
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      </td>
+    `;
+
+    tr.querySelector('[data-act="edit"]').addEventListener("click", () => {
+      el("hId").value = h.id;
+      el("hId").disabled = true;
+      el("hName").value = h.name;
+      el("hRows").value = h.rows_count;
+      el("hSeatsPerRow").value = h.seats_per_row;
+      el("hallForm").dataset.mode = "edit";
+      el("hSave").innerHTML = '<i class="fas fa-save"></i> Сохранить';
+      el("hCancel").hidden = false;
+    });
+
+    tr.querySelector('[data-act="delete"]').addEventListener("click", async () => {
+      if (!confirm(`Удалить зал "${h.name}"?`)) return;
+      try {
+        await api(`/api/halls/${encodeURIComponent(h.id)}`, { method: "DELETE" });
+        toast("Зал удалён");
+        await reloadConfig();
+        resetHallForm();
+        renderHallsTable();
+      } catch (err) {
+        toast(err.message, true);
+      }
+    });
+
+    tbody.appendChild(tr);
+  }
+}
+
+function resetHallForm() {
+  el("hId").value = "";
+  el("hId").disabled = false;
+  el("hName").value = "";
+  el("hRows").value = "";
+  el("hSeatsPerRow").value = "";
+  el("hallForm").dataset.mode = "create";
+  el("hSave").innerHTML = '<i class="fas fa-plus"></i> Добавить зал';
+  el("hCancel").hidden = true;
+}
+
+async function onSaveHall(e) {
+  e.preventDefault();
+
+  const mode = el("hallForm").dataset.mode;
+  const id = el("hId").value.trim();
+  const payload = {
+    name: el("hName").value.trim(),
+    rows_count: Number(el("hRows").value),
+    seats_per_row: Number(el("hSeatsPerRow").value)
+  };
+
+  try {
+    if (mode === "edit") {
+      await api(`/api/halls/${encodeURIComponent(id)}`, { method: "PUT", body: JSON.stringify(payload) });
+      toast("Зал сохранён");
+    } else {
+      await api("/api/halls", { method: "POST", body: JSON.stringify(id ? { id, ...payload } : payload) });
+      toast("Зал добавлен");
+    }
+
+    await reloadConfig();
+    resetHallForm();
+    renderHallsTable();
+    await refreshSessions();
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+// bookings UI
+async function loadAndRenderBookings(sessionId, options = {}) {
+  try {
+    console.log("Загрузка броней для сеанса:", sessionId);
+    const s = await api(`/api/sessions/${sessionId}`);
+    // перебросить можно только на предстоящие сеансы того же фильма — их ищем на сервере, а не в загруженной странице
+    const targets = await api(`/api/sessions?movie_id=${encodeURIComponent(s.movie_id)}&upcoming=1&limit=500`);
+    renderBookingsPanel({ ...s, move_targets: targets.sessions }, options);
+  } catch (err) {
+    console.error("Ошибка загрузки броней:", err);
+    toast("Ошибка загрузки броней: " + err.message, true);
+  }
+}
+
+// keepForm — обновление пришло с другой кассы: введённые данные и выбранные места не сбрасываются
+function renderBookingsPanel(sessionObj, { keepForm = false } = {}) {
+  currentSession = sessionObj;
+  if (keepForm && sessionObj) keepBookingForm(sessionObj);
+  else resetBookingForm();
+
+  if (!sessionObj) {
+    el("selectedSessionLine").innerHTML =
+      '<div class="placeholder"><i class="fas fa-film"></i> Выберите сеанс для просмотра броней</div>';
+    el("bookingsTable").querySelector("tbody").innerHTML = "";
+    el("bookingsStats").textContent = "0 броней";
+    renderWaitlist(null);
+    return;
+  }
+
+  const bookings = Array.isArray(sessionObj.bookings) ? sessionObj.bookings : [];
+  const booked = bookings.reduce((a, b) => a + Number(b.tickets || 0), 0);
+  const capacity = sessionObj.hall_capacity || 0;
+  const statusClass = getStatusClass(booked, capacity);
+  const onSale = sessionObj.status === "on_sale";
+  const cancelled = sessionObj.status === "cancelled";
+
+  // после закрытия продаж новые брони и очередь не оформляются, а существующие не редактируются
+  el("bookingForm").hidden = !onSale;
+  el("waitlistForm").hidden = !onSale;
+  el("salesNotice").hidden = onSale;
+  el("salesNotice").innerHTML = `<i class="fas fa-lock"></i> ${escapeHtml(SALES_NOTICES[sessionObj.status] || "")}`;
+  
+  el("selectedSessionLine").innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center;">
+      <div>
+        <h4 style="margin: 0 0 8px 0; color: var(--text);">
+          <i class="fas fa-film"></i> ${escapeHtml(sessionObj.movie)}
+          <small class="badge">${escapeHtml(sessionObj.age_rating)}</small>
+        </h4>
+        <div style="color: var(--text-light); font-size: 13px;">
+          <i class="fas fa-calendar"></i> ${formatDateTime(sessionObj.start_at)} • 
+          <i class="fas fa-door-open"></i> ${escapeHtml(sessionObj.hall_name)} • 
+          <i class="fas fa-ruble-sign"></i> ${formatMoney(sessionObj.pricing?.prices?.adult ?? sessionObj.base_price)}
+          ${onSale ? `• <i class="fas fa-cash-register"></i> продажи до ${formatTime(sessionObj.sales_closes_at)}` : ""}
+        </div>
+      </div>
+      <div style="display: flex; align-items: center; gap: 12px;">
+        ${sessionStatusBadge(sessionObj.status)}
+        <span class="badge ${booked >= capacity ? "badge-danger" : booked >= capacity * 0.7 ? "badge-warning" : "badge-success"}">
+          <i class="fas fa-ticket-alt"></i> ${booked}/${capacity}
+        </span>
+        <span class="status-indicator ${statusClass}"></span>
+        <button class="btn btn-secondary" id="btnEvacuate" title="Перенести все брони на другие сеансы" ${bookings.length && !cancelled ? "" : "hidden"}>
+          <i class="fas fa-people-arrows"></i>
+        </button>
+        <button class="btn btn-secondary" id="btnSessionHistory" title="История изменений">
+          <i class="fas fa-history"></i>
+        </button>
+      </div>
+    </div>
+  `;
+  el("btnEvacuate").addEventListener("click", () => openEvacuateModal(sessionObj));
+  el("btnSessionHistory").addEventListener("click", () =>
+    openHistoryModal(`Сеанс: ${sessionObj.movie}, ${formatDateTime(sessionObj.start_at)}`, { session_id: sessionObj.id })
+  );
+
+  // таблица броней
+  const tbody = el("bookingsTable").querySelector("tbody");
+  tbody.innerHTML = "";
+
+  const sameMovieTargets = (sessionObj.move_targets || [])
+    .filter(x => x.id !== sessionObj.id && x.status === "on_sale")
+    .map(x => ({
+      id: x.id,
+      label: `${formatDateTime(x.start_at, { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })} • ${x.hall_name}`
+    }));
+
+  let totalBookings = 0;
+
+  for (const b of bookings) {
+    totalBookings++;
+    const tr = document.createElement("tr");
+    tr.dataset.bookingId = b.id;
+
+    const moveSelect = document.createElement("select");
+    moveSelect.innerHTML = `<option value="">— выбрать сеанс —</option>` + sameMovieTargets
+      .map(t => `<option value="${t.id}">${escapeHtml(t.label)}</option>`)
+      .join("");
+    moveSelect.style.minWidth = "240px";
+
+    const moveBtn = document.createElement("button");
+    moveBtn.className = "btn btn-secondary";
+    moveBtn.innerHTML = '<i class="fas fa-exchange-alt"></i> Перебросить';
+    moveBtn.disabled = true;
+    moveBtn.style.marginLeft = "8px";
+
+    moveSelect.addEventListener("change", () => {
+      moveBtn.disabled = !moveSelect.value;
+    });
+
+    moveBtn.addEventListener("click", async () => {
+      if (!moveSelect.value) return;
+      if (!confirm(`Перебросить бронь "${b.customer_name}" на выбранный сеанс?`)) return;
+      
+      try {
+        const result = await api(`/api/bookings/${b.id}/move`, {
+          method: "POST",
+          headers: ifMatch(b.version),
+          body: JSON.stringify({ toSessionId: moveSelect.value })
+        });
+        toast(`Бронь успешно переброшена (${formatSeats(result.seats)}, ${formatMoney(result.total_price)})`);
+        notifyPromoted(result);
+        await refreshSessions();
+        await loadAndRenderBookings(selectedSessionId);
+      } catch (err) {
+        if (!(await onVersionConflict(err))) toast(err.message, true);
+      }
+    });
+
+    const actionsTd = document.createElement("td");
+    actionsTd.className = "action-buttons";
+
+    const editBtn = document.createElement("button");
+    editBtn.className = "btn btn-secondary";
+    editBtn.innerHTML = '<i class="fas fa-edit"></i>';
+    editBtn.title = "Редактировать";
+    editBtn.addEventListener("click", () => {
+      el("bName").value = b.customer_name;
+      el("bPhone").value = b.customer_phone || "";
+      el("bEmail").value = b.customer_email || "";
+      el("bCustomerId").value = b.customer_id || "";
+      el("bEditingId").value = b.id;
+      el("bEditingVersion").value = b.version;
+      selectedSeats = new Map((b.seats || []).map(x => [seatKey(x), { row: x.row, seat: x.seat, tariff: x.tariff }]));
+      el("bSubmit").innerHTML = '<i class="fas fa-save"></i> Сохранить';
+      el("bCancel").hidden = false;
+      el("bHoldRow").hidden = true;
+      renderSeatMap();
+    });
+
+    const delBtn = document.createElement("button");
+    delBtn.className = "btn btn-danger";
+    delBtn.innerHTML = '<i class="fas fa-trash"></i>';
+    delBtn.title = "Удалить";
+    delBtn.addEventListener("click", async () => {
+      if (!confirm(`Удалить бронь "${b.customer_name}"?`)) return;
       try {
-        await api(`/api/sessions/${sessionObj.id}/bookings/${b.id}`, { method: "DELETE" });
+        const result = await api(`/api/sessions/${sessionObj.id}/bookings/${b.id}`, { method: "DELETE", headers: ifMatch(b.version) });
         toast("Бронь успешно удалена");
+        notifyPromoted(result);
         await refreshSessions();
         await loadAndRenderBookings(selectedSessionId);
       } catch (err) {
-        toast(err.message, true);
+        if (!(await onVersionConflict(err))) toast(err.message, true);
       }
     });
 
-    actionsTd.appendChild(editBtn);
-    actionsTd.appendChild(delBtn);
+    const historyBtn = document.createElement("button");
+    historyBtn.className = "btn btn-secondary";
+    historyBtn.innerHTML = '<i class="fas fa-history"></i>';
+    historyBtn.title = "История";
+    historyBtn.addEventListener("click", () => openHistoryModal(`Бронь: ${b.customer_name}`, { booking_id: b.id }));
+
+    if (b.status === "cancelled") {
+      // бронь отменённого сеанса хранится для возврата: только история
+      actionsTd.appendChild(historyBtn);
+    }
+
+    if (b.status === "hold" && onSale) {
+      const confirmBtn = document.createElement("button");
+      confirmBtn.className = "btn btn-primary";
+      confirmBtn.innerHTML = '<i class="fas fa-check"></i>';
+      confirmBtn.title = "Подтвердить";
+      confirmBtn.addEventListener("click", async () => {
+        try {
+          await api(`/api/sessions/${sessionObj.id}/bookings/${b.id}/confirm`, { method: "POST", headers: ifMatch(b.version) });
+          toast("Бронь подтверждена");
+          await refreshSessions();
+          await loadAndRenderBookings(selectedSessionId);
+        } catch (err) {
+          if (!(await onVersionConflict(err))) toast(err.message, true);
+        }
+      });
+      actionsTd.appendChild(confirmBtn);
+    }
+
+    if (b.status === "confirmed") {
+      const printBtn = document.createElement("button");
+      printBtn.className = "btn btn-secondary";
+      printBtn.innerHTML = '<i class="fas fa-print"></i>';
+      printBtn.title = "Печать";
+      printBtn.addEventListener("click", () => window.open(`/tickets.html?booking=${encodeURIComponent(b.id)}`, "_blank"));
+      actionsTd.appendChild(printBtn);
+    }
+
+    if (b.status !== "cancelled") {
+      if (onSale) actionsTd.appendChild(editBtn);
+      actionsTd.appendChild(historyBtn);
+      actionsTd.appendChild(delBtn);
+    }
 
     const tdMove = document.createElement("td");
     tdMove.style.display = "flex";
     tdMove.style.alignItems = "center";
     tdMove.style.gap = "8px";
-    tdMove.appendChild(moveSelect);
-    tdMove.appendChild(moveBtn);
+    if (b.status !== "cancelled") {
+      tdMove.appendChild(moveSelect);
+      tdMove.appendChild(moveBtn);
+    }
+
+    const holdBadge = b.status === "hold"
+      ? `<br><span class="badge badge-warning hold-countdown" title="Временная бронь">
+          <i class="fas fa-hourglass-half"></i> <span data-hold-expires="${escapeHtml(b.hold_expires_at)}"></span>
+        </span>`
+      : b.status === "cancelled"
+        ? `<br><span class="badge badge-danger" title="Сеанс отменён — к возврату"><i class="fas fa-undo"></i> отменена</span>`
+        : "";
 
     tr.innerHTML = `
-      <td><strong>${escapeHtml(b.customer_name)}</strong></td>
+      <td><strong>${escapeHtml(b.customer_name)}</strong>${holdBadge}</td>
       <td>
-        <span class="badge ${Number(b.tickets) >= (CONFIG?.maxTicketsPerPerson || 8) ? "badge-warning" : "badge-primary"}">
+        <span class="badge ${Number(b.tickets) >= maxTicketsPerPerson() ? "badge-warning" : "badge-primary"}">
           <i class="fas fa-ticket-alt"></i> ${Number(b.tickets)} шт.
         </span>
       </td>
+      <td>
+        <small>${escapeHtml(formatSeats(b.seats))}</small>
+        ${checkedInCount(b) ? `<div><small class="badge badge-success"><i class="fas fa-door-open"></i> прошли ${checkedInCount(b)}/${Number(b.tickets)}</small></div>` : ""}
+      </td>
+      <td><strong>${formatMoney(b.total_price)}</strong></td>
     `;
     tr.appendChild(tdMove);
     tr.appendChild(actionsTd);
@@ -545,7 +2717,12 @@ function renderBookingsPanel(sessionObj) {
   }
 
   // Обновляем статистику
-  el("bookingsStats").textContent = `${totalBookings} броней • ${booked} билетов`;
+  const revenue = bookings
+    .filter(b => b.status !== "hold")
+    .reduce((a, b) => a + Number(b.total_price || 0), 0);
+  el("bookingsStats").textContent = `${totalBookings} броней • ${booked} билетов • ${formatMoney(revenue)}`;
+  tickHoldCountdowns();
+  renderWaitlist(sessionObj);
 }
 
 async function onSaveBooking(e) {
@@ -556,7 +2733,8 @@ async function onSaveBooking(e) {
   }
 
   const customer_name = el("bName").value.trim();
-  const tickets = Number(el("bTickets").value);
+  const seats = [...selectedSeats.values()];
+  const tickets = seats.length;
   const editingId = el("bEditingId").value;
 
   if (!customer_name) {
@@ -564,48 +2742,455 @@ async function onSaveBooking(e) {
     return;
   }
 
-  if (!tickets || tickets < 1) {
-    toast("Введите количество билетов (от 1)", true);
+  if (tickets < 1) {
+    toast("Выберите места на схеме зала", true);
     return;
   }
 
-  const maxTickets = CONFIG?.maxTicketsPerPerson || 8;
+  const maxTickets = maxTicketsPerPerson();
   if (tickets > maxTickets) {
     toast(`Нельзя забронировать более ${maxTickets} билетов в одни руки`, true);
     return;
   }
 
+  const customer = {
+    customer_id: el("bCustomerId").value || null,
+    customer_phone: el("bPhone").value.trim(),
+    customer_email: el("bEmail").value.trim()
+  };
+
   try {
     if (!editingId) {
       // create/merge
-      await api(`/api/sessions/${selectedSessionId}/bookings`, {
+      const payload = { customer_name, ...customer, seats };
+      if (el("bHold").checked) {
+        payload.hold = true;
+        payload.hold_minutes = Number(el("bHoldMinutes").value);
+      }
+      const result = await api(`/api/sessions/${selectedSessionId}/bookings`, {
         method: "POST",
-        body: JSON.stringify({ customer_name, tickets })
+        body: JSON.stringify(payload)
       });
-      toast("Бронь добавлена/суммирована");
+      toast(result.status === "hold"
+        ? `Места придержаны до ${formatTime(result.hold_expires_at, {})}`
+        : "Бронь добавлена/суммирована");
     } else {
       // update
-      await api(`/api/sessions/${selectedSessionId}/bookings/${editingId}`, {
+      const result = await api(`/api/sessions/${selectedSessionId}/bookings/${editingId}`, {
         method: "PUT",
-        body: JSON.stringify({ customer_name, tickets })
+        headers: ifMatch(el("bEditingVersion").value),
+        body: JSON.stringify({ customer_name, ...customer, seats })
       });
       toast("Бронь сохранена");
+      notifyPromoted(result);
     }
 
     resetBookingForm();
     await refreshSessions();
     await loadAndRenderBookings(selectedSessionId);
+  } catch (err) {
+    if (err.status === 409) {
+      resetBookingForm();
+      await onVersionConflict(err);
+      return;
+    }
+    toast(err.message, true);
+    // тёзки: даём выбрать нужного покупателя из найденных
+    if (err.details?.candidates) {
+      showCustomerSuggest(err.details.candidates);
+      return;
+    }
+    // зал распродан — предлагаем встать в очередь с теми же данными
+    if (!editingId && err.message.includes("не хватает мест") && confirm("Мест не хватает. Добавить покупателя в лист ожидания?")) {
+      el("wName").value = customer_name;
+      el("wContact").value = customer.customer_phone || customer.customer_email;
+      el("wTickets").value = tickets;
+      el("wContact").focus();
+    }
+  }
+}
+
+// ---------------- поиск броней ----------------
+let bookingSearchTimer = null;
+
+function scheduleBookingSearch() {
+  clearTimeout(bookingSearchTimer);
+  const q = el("searchQuery").value.trim();
+  if (q.length < 2) {
+    el("searchPanel").hidden = true;
+    return;
+  }
+  bookingSearchTimer = setTimeout(() => runBookingSearch(q), 300);
+}
+
+async function runBookingSearch(q) {
+  const params = new URLSearchParams({ q });
+  if (el("searchFrom").value) params.set("from", el("searchFrom").value);
+  if (el("searchTo").value) params.set("to", el("searchTo").value);
+  if (el("searchMovie").value) params.set("movie_id", el("searchMovie").value);
+
+  try {
+    const results = await api(`/api/bookings/search?${params}`);
+    renderSearchResults(results);
+  } catch (err) {
+    el("searchResults").innerHTML = `<div class="search-empty">${escapeHtml(err.message)}</div>`;
+  }
+  el("searchPanel").hidden = false;
+}
+
+function renderSearchResults(results) {
+  const box = el("searchResults");
+  if (!results.length) {
+    box.innerHTML = `<div class="search-empty">Ничего не найдено</div>`;
+    return;
+  }
+  box.innerHTML = results.map((r, i) => `
+    <div class="search-item" data-index="${i}">
+      <strong>${escapeHtml(r.customer_name)}</strong>
+      ${r.customer_phone ? ` • ${escapeHtml(r.customer_phone)}` : ""}
+      ${r.status === "hold" ? ' <span class="badge badge-warning">временная</span>' : ""}
+      <small>
+        ${formatDateTime(r.start_at, { weekday: "short", day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" })}
+        • ${escapeHtml(r.movie)} • ${escapeHtml(r.hall_name)} • ${escapeHtml(formatSeats(r.seats))}
+      </small>
+    </div>
+  `).join("");
+  box.querySelectorAll(".search-item").forEach(item => {
+    item.addEventListener("click", () => jumpToBooking(results[Number(item.dataset.index)]));
+  });
+}
+
+// открывает панель броней нужного сеанса и подсвечивает найденную бронь
+async function jumpToBooking(result) {
+  el("searchPanel").hidden = true;
+  switchTab("cashierView");
+  selectedSessionId = result.session_id;
+  await loadAndRenderBookings(result.session_id);
+  renderSessions();
+
+  const row = el("bookingsTable").querySelector(`tr[data-booking-id="${CSS.escape(result.id)}"]`);
+  if (!row) return;
+  row.classList.add("row-highlight");
+  row.scrollIntoView({ behavior: "smooth", block: "center" });
+  setTimeout(() => row.classList.remove("row-highlight"), 3000);
+}
+
+// ---------------- покупатели ----------------
+let customerSuggestTimer = null;
+
+// ручная правка ФИО (или телефона) отвязывает выбранного из подсказки покупателя
+function onCustomerInput(e) {
+  el("bCustomerId").value = "";
+  clearTimeout(customerSuggestTimer);
+  const q = e.target.value.trim();
+  if (q.length < 2) {
+    hideCustomerSuggest();
+    return;
+  }
+  customerSuggestTimer = setTimeout(async () => {
+    try {
+      showCustomerSuggest(await api(`/api/customers?q=${encodeURIComponent(q)}`));
+    } catch (err) {
+      console.error("Ошибка поиска покупателей:", err);
+    }
+  }, 250);
+}
+
+function showCustomerSuggest(customers) {
+  const list = el("bSuggest");
+  if (!customers.length) {
+    hideCustomerSuggest();
+    return;
+  }
+  list.innerHTML = customers.map((c, i) => `
+    <div class="suggest-item" data-index="${i}">
+      ${escapeHtml(c.name)}
+      <small>${escapeHtml([c.phone, c.email].filter(Boolean).join(" • ") || "без контактов")}${c.bookings_count ? ` • броней: ${c.bookings_count}` : ""}</small>
+    </div>
+  `).join("");
+  list.querySelectorAll(".suggest-item").forEach(item => {
+    item.addEventListener("mousedown", (e) => {
+      e.preventDefault();
+      pickCustomer(customers[Number(item.dataset.index)]);
+    });
+  });
+  list.hidden = false;
+}
+
+function hideCustomerSuggest() {
+  el("bSuggest").hidden = true;
+}
+
+function pickCustomer(c) {
+  el("bName").value = c.name;
+  el("bPhone").value = c.phone || "";
+  el("bEmail").value = c.email || "";
+  el("bCustomerId").value = c.id;
+  hideCustomerSuggest();
+}
+
+async function onAddToWaitlist(e) {
+  e.preventDefault();
+  if (!selectedSessionId) {
+    toast("Сначала выберите сеанс", true);
+    return;
+  }
+
+  try {
+    const result = await api(`/api/sessions/${selectedSessionId}/waitlist`, {
+      method: "POST",
+      body: JSON.stringify({
+        customer_name: el("wName").value.trim(),
+        contact: el("wContact").value.trim(),
+        tickets: Number(el("wTickets").value)
+      })
+    });
+    toast(`Покупатель добавлен в лист ожидания, место в очереди: ${result.position}`);
+    el("waitlistForm").reset();
+    await loadAndRenderBookings(selectedSessionId);
   } catch (err) {
     toast(err.message, true);
   }
 }
 
+const WAITLIST_STATUS_BADGES = {
+  waiting: `<span class="badge badge-warning"><i class="fas fa-clock"></i> ждёт</span>`,
+  promoted: `<span class="badge badge-success"><i class="fas fa-check"></i> места выделены</span>`,
+  expired: `<span class="badge"><i class="fas fa-hourglass-end"></i> бронь истекла</span>`,
+  cancelled: `<span class="badge badge-danger"><i class="fas fa-ban"></i> сеанс отменён</span>`
+};
+
+function renderWaitlist(sessionObj) {
+  const tbody = el("waitlistTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  const entries = sessionObj?.waitlist || [];
+  el("wTickets").max = maxTicketsPerPerson();
+
+  if (entries.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="6" style="text-align: center; color: var(--text-light);">Очередь пуста</td></tr>`;
+    return;
+  }
+
+  let position = 0;
+  for (const w of entries) {
+    const waiting = w.status === "waiting";
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${waiting ? ++position : "—"}</td>
+      <td><strong>${escapeHtml(w.customer_name)}</strong></td>
+      <td>${escapeHtml(w.contact || "—")}</td>
+      <td>${w.tickets}</td>
+      <td>${WAITLIST_STATUS_BADGES[w.status] || escapeHtml(w.status)}</td>
+      <td></td>
+    `;
+
+    const delBtn = document.createElement("button");
+    delBtn.className = "btn btn-danger";
+    delBtn.innerHTML = '<i class="fas fa-trash"></i>';
+    delBtn.title = "Убрать из очереди";
+    delBtn.addEventListener("click", async () => {
+      if (!confirm(`Убрать "${w.customer_name}" из листа ожидания?`)) return;
+      try {
+        await api(`/api/sessions/${sessionObj.id}/waitlist/${w.id}`, { method: "DELETE" });
+        await loadAndRenderBookings(selectedSessionId);
+      } catch (err) {
+        toast(err.message, true);
+      }
+    });
+    tr.lastElementChild.appendChild(delBtn);
+    tbody.appendChild(tr);
+  }
+}
+
+// сервер сообщает, кому из очереди достались освободившиеся места
+function notifyPromoted(result) {
+  if (!result?.promoted?.length) return;
+  const names = result.promoted.map(p => `${p.customer_name} (${formatSeats(p.seats)})`).join(", ");
+  toast(`Из листа ожидания выделены места: ${names}`);
+}
+
+// места, которые тем временем продали на другой кассе, снимаются с выбора
+function keepBookingForm(sessionObj) {
+  const editingId = el("bEditingId").value;
+  const bookings = sessionObj.bookings || [];
+  if (editingId && !bookings.some(b => b.id === editingId)) {
+    toast("Редактируемая бронь изменена на другой кассе", true);
+    resetBookingForm();
+    return;
+  }
+  const editing = bookings.find(b => b.id === editingId);
+  if (editing && String(editing.version) !== el("bEditingVersion").value) {
+    toast("Бронь изменена другим кассиром — откройте её заново", true);
+    resetBookingForm();
+    return;
+  }
+
+  const taken = new Set();
+  for (const b of bookings) {
+    if (b.id === editingId) continue;
+    for (const seat of b.seats || []) taken.add(seatKey(seat));
+  }
+  const lost = [...selectedSeats.values()].filter(seat => taken.has(seatKey(seat)));
+  lost.forEach(seat => selectedSeats.delete(seatKey(seat)));
+  if (lost.length) toast(`Места только что заняты на другой кассе: ${formatSeats(lost)}`, true);
+
+  renderSeatMap();
+}
+
 function resetBookingForm() {
   el("bName").value = "";
-  el("bTickets").value = "";
+  el("bPhone").value = "";
+  el("bEmail").value = "";
+  el("bCustomerId").value = "";
+  hideCustomerSuggest();
   el("bEditingId").value = "";
+  el("bEditingVersion").value = "";
+  selectedSeats = new Map();
   el("bSubmit").innerHTML = '<i class="fas fa-check"></i> Добавить/суммировать';
   el("bCancel").hidden = true;
+  el("bHoldRow").hidden = false;
+  el("bHold").checked = false;
+  el("bHoldMinutes").value = CONFIG?.defaultHoldMinutes || 10;
+  el("bHoldMinutes").max = CONFIG?.maxHoldMinutes || 60;
+  el("bHoldMinutes").disabled = true;
+  renderSeatMap();
+}
+
+// обратный отсчёт временных броней; истёкшая бронь снимается сервером — перечитываем панель
+let holdReloadPending = false;
+
+function tickHoldCountdowns() {
+  const now = Date.now();
+  let expired = false;
+  document.querySelectorAll("[data-hold-expires]").forEach(node => {
+    const left = Math.max(0, Math.floor((Date.parse(node.dataset.holdExpires) - now) / 1000));
+    node.textContent = `${Math.floor(left / 60)}:${String(left % 60).padStart(2, "0")}`;
+    if (left === 0) expired = true;
+  });
+
+  if (expired && selectedSessionId && !holdReloadPending) {
+    holdReloadPending = true;
+    refreshSessions()
+      .then(() => loadAndRenderBookings(selectedSessionId))
+      .finally(() => (holdReloadPending = false));
+  }
+}
+
+// ---------------- seat map ----------------
+function renderSeatMap() {
+  const wrap = el("seatMapWrap");
+  const map = el("seatMap");
+  map.innerHTML = "";
+
+  const maxTickets = maxTicketsPerPerson();
+  el("bSeats").value = selectedSeats.size
+    ? `${selectedSeats.size} шт. — ${formatSeats([...selectedSeats.values()])}`
+    : "";
+  el("bSeatsHint").textContent = `Макс: ${maxTickets}`;
+
+  renderSeatLines();
+
+  if (!currentSession) {
+    wrap.hidden = true;
+    return;
+  }
+  wrap.hidden = false;
+
+  // места чужих броней; места редактируемой брони остаются доступными
+  const editingId = el("bEditingId").value;
+  const takenBy = new Map();
+  for (const b of currentSession.bookings || []) {
+    if (b.id === editingId) continue;
+    for (const s of b.seats || []) takenBy.set(seatKey(s), b.customer_name);
+  }
+
+  const rows = Number(currentSession.hall_rows || 0);
+  const perRow = Number(currentSession.hall_seats_per_row || 0);
+
+  for (let row = 1; row <= rows; row++) {
+    const rowEl = document.createElement("div");
+    rowEl.className = "seat-row";
+
+    const label = document.createElement("span");
+    label.className = "seat-row-label";
+    label.textContent = row;
+    rowEl.appendChild(label);
+
+    for (let seat = 1; seat <= perRow; seat++) {
+      const key = seatKey({ row, seat });
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "seat";
+      btn.textContent = seat;
+
+      if (takenBy.has(key)) {
+        btn.classList.add("taken");
+        btn.disabled = true;
+        btn.title = `Ряд ${row}, место ${seat} — ${takenBy.get(key)}`;
+      } else {
+        btn.title = `Ряд ${row}, место ${seat}`;
+        if (selectedSeats.has(key)) btn.classList.add("selected");
+        btn.addEventListener("click", () => toggleSeat(row, seat));
+      }
+
+      rowEl.appendChild(btn);
+    }
+
+    map.appendChild(rowEl);
+  }
+}
+
+// строки с тарифом и ценой для каждого выбранного места
+function renderSeatLines() {
+  const lines = el("bSeatLines");
+  lines.innerHTML = "";
+
+  const prices = currentSession?.pricing?.prices || {};
+  let total = 0;
+
+  for (const s of [...selectedSeats.values()].sort((a, b) => a.row - b.row || a.seat - b.seat)) {
+    const price = prices[s.tariff] ?? 0;
+    total += price;
+
+    const line = document.createElement("div");
+    line.className = "seat-line";
+    line.innerHTML = `<span>Ряд ${s.row}, место ${s.seat}</span>`;
+
+    const select = document.createElement("select");
+    select.innerHTML = (CONFIG?.tariffs || [])
+      .map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)} — ${formatMoney(prices[t.id])}</option>`)
+      .join("");
+    select.value = s.tariff;
+    select.addEventListener("change", () => {
+      s.tariff = select.value;
+      renderSeatLines();
+    });
+    line.appendChild(select);
+
+    const priceEl = document.createElement("strong");
+    priceEl.textContent = formatMoney(price);
+    line.appendChild(priceEl);
+
+    lines.appendChild(line);
+  }
+
+  el("bTotal").hidden = selectedSeats.size === 0;
+  el("bTotal").textContent = `К оплате: ${formatMoney(total)}`;
+}
+
+function toggleSeat(row, seat) {
+  const key = seatKey({ row, seat });
+  if (selectedSeats.has(key)) {
+    selectedSeats.delete(key);
+  } else {
+    const maxTickets = maxTicketsPerPerson();
+    if (selectedSeats.size >= maxTickets) {
+      toast(`Нельзя выбрать более ${maxTickets} мест в одни руки`, true);
+      return;
+    }
+    selectedSeats.set(key, { row, seat, tariff: CONFIG?.tariffs?.[0]?.id || "adult" });
+  }
+  renderSeatMap();
 }
 
 function escapeHtml(str) {
@@ -0,0 +1,73 @@
+const el = (id) => document.getElementById(id);
+
+function escapeHtml(str) {
+  if (str == null) return '';
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function formatMoney(amount) {
+  return `${Number(amount || 0).toLocaleString("ru-RU")} ₽`;
+}
+
+// код печатается группами по 5 символов — так его проще прочитать и набрать на входе
+function formatCode(code) {
+  return String(code).replace(/(.{5})(?=.)/g, "$1 ");
+}
+
+async function loadTickets() {
+  const bookingId = new URLSearchParams(location.search).get("booking");
+  if (!bookingId) {
+    el("ticketsInfo").textContent = "Не указана бронь";
+    return;
+  }
+
+  const res = await fetch(`/api/bookings/${encodeURIComponent(bookingId)}/tickets`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    el("ticketsInfo").textContent = res.status === 401
+      ? "Войдите в кассу и откройте печать заново"
+      : (data.error || `Ошибка запроса: ${res.status}`);
+    return;
+  }
+
+  const { booking, session, tickets } = data;
+  const start = new Date(session.start_at);
+  document.title = `Билеты — ${session.movie}`;
+  el("ticketsInfo").textContent = `${booking.customer_name}: ${tickets.length} бил. на ${formatMoney(booking.total_price)}`;
+
+  el("ticketsList").innerHTML = tickets.map(t => `
+    <article class="ticket">
+      <div class="ticket-main">
+        <div class="ticket-movie">${escapeHtml(session.movie)} <span class="ticket-age">${escapeHtml(session.age_rating)}</span></div>
+        <div class="ticket-when">
+          ${start.toLocaleDateString("ru-RU", { timeZone: session.time_zone, weekday: "short", day: "numeric", month: "long" })},
+          ${start.toLocaleTimeString("ru-RU", { timeZone: session.time_zone, hour: "2-digit", minute: "2-digit" })}
+        </div>
+        <div class="ticket-place">
+          <span>${escapeHtml(session.hall_name)}</span>
+          <span>Ряд <b>${t.row}</b></span>
+          <span>Место <b>${t.seat}</b></span>
+        </div>
+        <div class="ticket-meta">
+          Билет ${t.number} из ${tickets.length} • ${escapeHtml(t.tariff)} • ${formatMoney(t.price)}
+        </div>
+        <div class="ticket-code">${formatCode(t.code)}</div>
+      </div>
+      <div class="ticket-qr">${t.qr_svg}</div>
+    </article>
+  `).join("");
+
+  el("btnPrint").disabled = false;
+  window.print();
+}
+
+el("btnPrint").addEventListener("click", () => window.print());
+loadTickets().catch(err => {
+  console.error("Ошибка загрузки билетов:", err);
+  el("ticketsInfo").textContent = err.message;
+});
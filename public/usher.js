@@ -0,0 +1,204 @@
+let sessions = [];
+let events = null;
+let timeZone; // часы кинотеатра из /api/config
+
+const el = (id) => document.getElementById(id);
+
+// показываем сеансы, которые ещё не закончились и начнутся в ближайшие 12 часов
+const UPCOMING_HOURS = 12;
+
+function toast(msg, isError = false) {
+  const t = el("toast");
+  t.hidden = false;
+  t.textContent = msg;
+  t.className = isError ? "toast error" : "toast success";
+  clearTimeout(toast._timer);
+  toast._timer = setTimeout(() => (t.hidden = true), 4000);
+}
+
+function escapeHtml(str) {
+  if (str == null) return '';
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+async function api(path, options = {}) {
+  const res = await fetch(path, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...options.headers }
+  });
+
+  if (res.status === 401 && path !== "/api/auth/login") showLogin();
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data?.error || `Ошибка запроса: ${res.status}`);
+    err.status = res.status;
+    err.details = data?.details;
+    throw err;
+  }
+  return data;
+}
+
+// ---------------- вход ----------------
+async function init() {
+  el("loginForm").addEventListener("submit", onLogin);
+  el("btnLogout").addEventListener("click", onLogout);
+  el("checkinForm").addEventListener("submit", onCheckin);
+  el("cSession").addEventListener("change", () => {
+    el("checkinResult").hidden = true;
+    renderCounts();
+    el("cCode").focus();
+  });
+
+  try {
+    await startUsher(await api("/api/auth/me"));
+  } catch {
+    // экран входа уже показан
+  }
+}
+
+function showLogin() {
+  events?.close();
+  events = null;
+  document.body.className = "usher-page logged-out";
+  el("lPassword").value = "";
+  el("lUsername").focus();
+}
+
+async function onLogin(e) {
+  e.preventDefault();
+  try {
+    const result = await api("/api/auth/login", {
+      method: "POST",
+      body: JSON.stringify({ username: el("lUsername").value.trim(), password: el("lPassword").value })
+    });
+    el("lPassword").value = "";
+    await startUsher(result.user);
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+async function onLogout() {
+  await api("/api/auth/logout", { method: "POST" }).catch(() => {});
+  showLogin();
+}
+
+async function startUsher(user) {
+  document.body.className = `usher-page role-${user.role}`;
+  el("userLine").innerHTML = `<i class="fas fa-user-circle"></i> ${escapeHtml(user.display_name)}`;
+  timeZone = (await api("/api/config")).timeZone;
+  await loadSessions();
+  connectLiveUpdates();
+  el("cCode").focus();
+}
+
+// ---------------- сеансы ----------------
+// календарная дата в поясе кинотеатра, YYYY-MM-DD
+function zoneDate(ms) {
+  return new Date(ms).toLocaleDateString("en-CA", { timeZone });
+}
+
+async function loadSessions() {
+  // сервер отдаёт сеансы по рабочим дням, так что берём с запасом и дальше отсекаем по часам
+  const now = Date.now();
+  const from = zoneDate(now - UPCOMING_HOURS * 3600000);
+  const to = zoneDate(now + UPCOMING_HOURS * 3600000);
+  const { sessions: all } = await api(`/api/sessions?from=${from}&to=${to}&limit=500`);
+  sessions = all.filter(s => {
+    if (s.status === "cancelled") return false;
+    const start = new Date(s.start_at).getTime();
+    return start + s.duration_min * 60000 > now && start < now + UPCOMING_HOURS * 3600000;
+  });
+
+  const select = el("cSession");
+  const previous = select.value;
+  select.innerHTML = sessions.length
+    ? sessions.map(s => `
+        <option value="${escapeHtml(s.id)}">
+          ${new Date(s.start_at).toLocaleTimeString("ru-RU", { timeZone, hour: "2-digit", minute: "2-digit" })} •
+          ${escapeHtml(s.movie)} • ${escapeHtml(s.hall_name)}
+        </option>`).join("")
+    : `<option value="">Ближайших сеансов нет</option>`;
+  if (sessions.some(s => s.id === previous)) select.value = previous;
+  renderCounts();
+}
+
+function renderCounts() {
+  const s = sessions.find(x => x.id === el("cSession").value);
+  el("checkinCounts").innerHTML = s
+    ? `<i class="fas fa-users"></i> Прошли <b>${Number(s.checked_in_tickets || 0)}</b> из <b>${Number(s.booked_tickets || 0)}</b> забронированных`
+    : "";
+}
+
+// другой контролёр на соседнем входе тоже гасит билеты — держим счётчик актуальным
+function connectLiveUpdates() {
+  if (events || typeof EventSource === "undefined") return;
+  events = new EventSource("/api/events");
+  events.addEventListener("change", (e) => {
+    const change = JSON.parse(e.data);
+    if (change.entity === "session" || change.session_ids?.includes(el("cSession").value)) {
+      loadSessions().catch(err => console.error("Ошибка обновления сеансов:", err));
+    }
+  });
+}
+
+// ---------------- проверка билета ----------------
+async function onCheckin(e) {
+  e.preventDefault();
+  const code = el("cCode").value.trim();
+  const session_id = el("cSession").value;
+  if (!code || !session_id) return;
+
+  try {
+    const result = await api("/api/checkin", {
+      method: "POST",
+      body: JSON.stringify({ code, session_id })
+    });
+    const t = result.ticket;
+    showResult(true, "Проходите", `Ряд ${t.row}, место ${t.seat} • ${escapeHtml(t.customer_name)}`);
+    const s = sessions.find(x => x.id === session_id);
+    if (s) {
+      s.checked_in_tickets = result.checked_in;
+      s.booked_tickets = result.booked;
+    }
+    renderCounts();
+  } catch (err) {
+    showResult(false, escapeHtml(err.message), describeRejection(err.details));
+  }
+
+  el("cCode").value = "";
+  el("cCode").focus();
+}
+
+function describeRejection(details) {
+  if (!details) return "";
+  const parts = [];
+  if (details.row) parts.push(`Ряд ${details.row}, место ${details.seat}`);
+  if (details.session) {
+    parts.push(`${escapeHtml(details.session.movie)}, ${new Date(details.session.start_at).toLocaleString("ru-RU", { timeZone })}, ${escapeHtml(details.session.hall_name)}`);
+  }
+  if (details.checked_in_at) {
+    parts.push(`погашен в ${new Date(details.checked_in_at).toLocaleTimeString("ru-RU", { timeZone })} (${escapeHtml(details.checked_in_by)})`);
+  }
+  return parts.join(" • ");
+}
+
+function showResult(ok, title, text) {
+  const box = el("checkinResult");
+  box.hidden = false;
+  box.className = `checkin-result ${ok ? "ok" : "rejected"}`;
+  box.innerHTML = `
+    <div class="checkin-title"><i class="fas ${ok ? "fa-check-circle" : "fa-times-circle"}"></i> ${title}</div>
+    <div>${text}</div>
+  `;
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  init().catch(err => console.error("Ошибка инициализации:", err));
+});
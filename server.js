@@ -1,18 +1,31 @@
 import express from "express";
 import { v4 as uuidv4 } from "uuid";
-import { db, initDb, PAUSE_MINUTES, MAX_TICKETS_PER_PERSON, MIN_SESSION_DURATION, MAX_SESSION_DURATION } from "./db.js";
+import {
+  db, initDb, SETTING_DEFS,
+  MAX_HALL_ROWS, MAX_SEATS_PER_ROW, AGE_RATINGS, DEFAULT_BASE_PRICE, DEFAULT_TARIFF, MAX_TEMPLATE_DAYS, normalizeTitle,
+  DEFAULT_HOLD_MINUTES, MAX_HOLD_MINUTES, USER_ROLES, AUTH_SESSION_HOURS, hashPassword, verifyPassword,
+  generateTicketCode, normalizeTicketCode, CHECKIN_OPENS_MINUTES, CINEMA_TIME_ZONE, SESSION_STATUSES,
+  normalizeCustomerName, normalizePhone, normalizeEmail
+} from "./db.js";
+import { migrate, schemaVersion, appliedMigrations, LATEST_SCHEMA_VERSION } from "./migrations.js";
+import QRCode from "qrcode";
+import crypto from "crypto";
+import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+migrate();
 initDb();
 
+const APP_VERSION = JSON.parse(fs.readFileSync(path.join(__dirname, "package.json"), "utf8")).version;
+
 const app = express();
 const PORT = 3000;
 
-app.use(express.json());
+app.use(express.json({ limit: "2mb" })); // импорт расписания присылает файл целиком
 
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} ${req.method} ${req.url}`);
@@ -21,60 +34,461 @@ app.use((req, res, next) => {
 
 app.use(express.static(path.join(__dirname, 'public')));
 
+// всё API, кроме входа, доступно только сотрудникам с действующей сессией
+const PUBLIC_API = new Set(["POST /auth/login", "POST /auth/logout"]);
+
+app.use("/api", (req, res, next) => {
+  req.user = userFromRequest(req);
+  if (req.user || PUBLIC_API.has(`${req.method} ${req.path}`)) return next();
+  res.status(401).json({ error: "Требуется вход в систему" });
+});
+
+// просроченные временные брони снимаются до обработки любого запроса к API,
+// чтобы проверки вместимости не учитывали уже освободившиеся места
+app.use("/api", (req, res, next) => {
+  releaseExpiredHolds();
+  next();
+});
+
 
 function badRequest(res, message, details = null) {
   return res.status(400).json({ error: message, details });
 }
 
+// Обработчик целиком — все проверки и запись — выполняется в одной транзакции BEGIN IMMEDIATE:
+// между проверкой вместимости и записью никто другой в базу не пишет. Вложенные
+// db.transaction() внутри становятся точками сохранения
+function atomic(handler) {
+  return (req, res) => afterCommit(() => db.transaction(() => handler(req, res)).immediate());
+}
+
+// Живым клиентам изменения уходят только после фиксации внешней транзакции: audit() складывает
+// их в очередь, при откате очередь отбрасывается. Вложенный вызов ничего не рассылает — это сделает внешний
+let pendingChanges = [];
+
+function afterCommit(run) {
+  let result;
+  try {
+    result = run();
+  } catch (err) {
+    if (!db.inTransaction) pendingChanges = [];
+    throw err;
+  }
+  if (!db.inTransaction) flushChanges();
+  return result;
+}
+
+function flushChanges() {
+  const changes = pendingChanges;
+  pendingChanges = [];
+  changes.forEach(broadcastChange);
+}
+
+// Оптимистичная блокировка: клиент присылает версию, с которой начал редактирование,
+// в заголовке If-Match ("3" или W/"3") или в поле version. Без версии запись проходит как раньше
+function expectedVersion(req) {
+  const header = req.get("If-Match");
+  if (header !== undefined) {
+    const m = /^(?:W\/)?"?(\d+)"?$/.exec(header.trim());
+    return m ? Number(m[1]) : NaN;
+  }
+  if (req.body?.version !== undefined && req.body?.version !== null) return Number(req.body.version);
+  return undefined;
+}
+
+function checkVersion(req, current) {
+  const expected = expectedVersion(req);
+  if (expected === undefined) return { ok: true };
+  if (!Number.isInteger(expected)) return { ok: false, invalid: true, msg: "If-Match (version) должен содержать номер версии" };
+  if (expected !== current) return { ok: false, current };
+  return { ok: true };
+}
+
+function versionConflict(res, check, message) {
+  if (check.invalid) return badRequest(res, check.msg);
+  return res.status(409).json({ error: message, details: { version: check.current } });
+}
+
+function setVersionTag(res, version) {
+  res.setHeader("ETag", `"${version}"`);
+}
+
+// Учётные записи
+
+const AUTH_COOKIE = "cinema_session";
+const MIN_PASSWORD_LENGTH = 6;
+
+// администратору доступно всё, что кассиру; кассир может и сам погасить билет на входе
+const ROLE_GRANTS = {
+  usher: ["usher"],
+  cashier: ["cashier", "usher"],
+  admin: ["admin", "cashier", "usher"]
+};
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx < 0) continue;
+    cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+  }
+  return cookies;
+}
+
+// токен из cookie браузера или из заголовка Authorization: Bearer для внешних клиентов
+function authToken(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+  return bearer ? bearer[1] : parseCookies(req.get("Cookie"))[AUTH_COOKIE];
+}
+
+function userFromRequest(req) {
+  const token = authToken(req);
+  if (!token) return null;
+  const user = db.prepare(`
+    SELECT u.id, u.username, u.display_name, u.role
+    FROM auth_sessions a
+    JOIN users u ON u.id = a.user_id
+    WHERE a.token = ? AND a.expires_at > ? AND u.active = 1
+  `).get(token, new Date().toISOString());
+  return user ? { ...user, token } : null;
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (ROLE_GRANTS[req.user?.role]?.includes(role)) return next();
+    res.status(403).json({ error: "Недостаточно прав для этого действия" });
+  };
+}
+
+function publicUser(row) {
+  const { password_hash, ...user } = row;
+  return { ...user, active: Boolean(user.active) };
+}
+
+function ensureUserPayload(body, isNew) {
+  const { username, display_name, role, password, active } = body;
+  if (isNew && (typeof username !== "string" || !/^[a-zA-Z0-9._-]{3,32}$/.test(username.trim()))) {
+    return { ok: false, msg: "username: от 3 до 32 символов — латиница, цифры, точка, дефис, подчёркивание" };
+  }
+  if (typeof display_name !== "string" || !display_name.trim()) return { ok: false, msg: "display_name должен быть непустой строкой" };
+  if (!USER_ROLES.includes(role)) return { ok: false, msg: `role должен быть одним из: ${USER_ROLES.join(", ")}` };
+  if (isNew || password !== undefined) {
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      return { ok: false, msg: `Пароль должен быть не короче ${MIN_PASSWORD_LENGTH} символов` };
+    }
+  }
+  if (active !== undefined && typeof active !== "boolean") return { ok: false, msg: "active должен быть true или false" };
+  return { ok: true };
+}
+
+function countActiveAdmins(excludeUserId = null) {
+  return db.prepare(`
+    SELECT COUNT(*) AS c FROM users WHERE role = 'admin' AND active = 1 AND id <> ?
+  `).get(excludeUserId ?? "").c;
+}
+
+function sessionCookie(token, maxAgeSec) {
+  return `${AUTH_COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${maxAgeSec}`;
+}
+
+// Правила: общие значения из settings, переопределения зала из hall_settings
+
+function globalSettings() {
+  const stored = new Map(db.prepare(`SELECT key, value FROM settings`).all().map(r => [r.key, r.value]));
+  return Object.fromEntries(Object.entries(SETTING_DEFS).map(([key, def]) => [key, stored.get(key) ?? def.default]));
+}
+
+function hallOverrides(hallId) {
+  const rows = db.prepare(`SELECT key, value FROM hall_settings WHERE hall_id = ?`).all(hallId);
+  return Object.fromEntries(rows.filter(r => SETTING_DEFS[r.key]?.perHall).map(r => [r.key, r.value]));
+}
+
+function effectiveSettings(hallId = null) {
+  const settings = globalSettings();
+  return hallId ? { ...settings, ...hallOverrides(hallId) } : settings;
+}
+
+function setting(key, hallId = null) {
+  return effectiveSettings(hallId)[key];
+}
+
+// null допустим только для зала — снимает переопределение
+function ensureSettingsPayload(body, { forHall = false } = {}) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return { ok: false, msg: "Ожидается объект { ключ: значение }" };
+  const values = {};
+  for (const [key, raw] of Object.entries(body)) {
+    const def = SETTING_DEFS[key];
+    if (!def) return { ok: false, msg: `Неизвестное правило: ${key}` };
+    if (forHall && !def.perHall) return { ok: false, msg: `Правило «${def.label}» не переопределяется для зала` };
+    if (raw === null && forHall) {
+      values[key] = null;
+      continue;
+    }
+    const v = Number(raw);
+    if (raw === null || raw === "" || !Number.isInteger(v) || v < def.min || v > def.max) {
+      return { ok: false, msg: `«${def.label}»: целое число от ${def.min} до ${def.max}` };
+    }
+    values[key] = v;
+  }
+  return { ok: true, values };
+}
+
+// дата и время без смещения ("2025-05-01T19:30") — по часам кинотеатра, а не сервера
+const ZONELESS_DATETIME_RE = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(?::00)?$/;
+
 function parseISOToMs(iso) {
+  const m = typeof iso === "string" ? ZONELESS_DATETIME_RE.exec(iso.trim()) : null;
+  if (m) return parseDateOnly(m[1]) === null || hhmmToMinutes(m[2]) === null ? null : zonedTimeToMs(m[1], m[2]);
   const ms = Date.parse(iso);
   return Number.isNaN(ms) ? null : ms;
 }
 
-function sessionWindowMs(session) {
+// Часовой пояс кинотеатра и рабочий день. Время хранится в UTC, а дни, время суток
+// и дни недели считаются по часам кинотеатра — часы сервера и касс роли не играют
+
+const zoneFormat = (() => {
+  try {
+    return new Intl.DateTimeFormat("en-CA", {
+      timeZone: CINEMA_TIME_ZONE, hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit"
+    });
+  } catch {
+    throw new Error(`Неизвестный часовой пояс CINEMA_TIME_ZONE: ${CINEMA_TIME_ZONE}`);
+  }
+})();
+
+// { date: "ГГГГ-ММ-ДД", minutes: минуты от полуночи } по часам кинотеатра
+function zonedParts(ms) {
+  const p = Object.fromEntries(zoneFormat.formatToParts(new Date(ms)).map(x => [x.type, x.value]));
+  return {
+    date: `${p.year}-${p.month}-${p.day}`,
+    minutes: Number(p.hour) * 60 + Number(p.minute),
+    seconds: Number(p.second)
+  };
+}
+
+function zoneOffsetMs(ms) {
+  const p = zonedParts(ms);
+  const wall = Date.parse(`${p.date}T00:00:00Z`) + p.minutes * 60_000 + p.seconds * 1000;
+  return wall - Math.floor(ms / 1000) * 1000;
+}
+
+// настенное время кинотеатра -> момент; смещение пересчитываем второй раз на случай перевода часов
+function zonedTimeToMs(date, hhmm) {
+  const wall = Date.parse(`${date}T${hhmm}:00Z`);
+  return wall - zoneOffsetMs(wall - zoneOffsetMs(wall));
+}
+
+function addDays(date, days) {
+  return new Date(parseDateOnly(date) + days * 86_400_000).toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+  return new Date(parseDateOnly(date)).getUTCDay() || 7;
+}
+
+// рабочий день, к которому относится момент: до начала рабочего дня — ещё предыдущая дата
+function businessDateOf(iso, startHour = setting("business_day_start_hour")) {
+  const p = zonedParts(parseISOToMs(iso));
+  return p.minutes < startHour * 60 ? addDays(p.date, -1) : p.date;
+}
+
+// ЧЧ:ММ рабочего дня date: время до начала рабочего дня — уже следующая календарная дата
+function businessTimeToMs(date, hhmm, startHour = setting("business_day_start_hour")) {
+  return zonedTimeToMs(hhmmToMinutes(hhmm) < startHour * 60 ? addDays(date, 1) : date, hhmm);
+}
+
+// границы рабочих дней from..to включительно в виде ISO-строк для сравнения со start_at
+function businessDayBounds(from, to = from, startHour = setting("business_day_start_hour")) {
+  const start = `${String(startHour).padStart(2, "0")}:00`;
+  return {
+    fromIso: new Date(zonedTimeToMs(from, start)).toISOString(),
+    toIso: new Date(zonedTimeToMs(addDays(to, 1), start)).toISOString()
+  };
+}
+
+// окно занятости зала: сеанс плюс техпауза этого зала
+function sessionWindowMs(session, pauseMinutes = setting("pause_minutes", session.hall_id)) {
   const startMs = parseISOToMs(session.start_at);
-  const endMs = startMs + (session.duration_min + PAUSE_MINUTES) * 60_000;
+  const endMs = startMs + (session.duration_min + pauseMinutes) * 60_000;
   return { startMs, endMs };
 }
 
 function ensureSessionPayload(body) {
-  const { movie, start_at, duration_min, hall_id } = body;
-  if (typeof movie !== "string" || !movie.trim()) return { ok: false, msg: "movie должен быть непустой строкой" };
+  const { movie_id, start_at, duration_min, hall_id } = body;
+  if (typeof movie_id !== "string" || !movie_id.trim()) return { ok: false, msg: "movie_id должен быть непустой строкой" };
   if (typeof start_at !== "string" || !start_at.trim()) return { ok: false, msg: "start_at должен быть ISO-строкой даты" };
   const ms = parseISOToMs(start_at);
   if (ms === null) return { ok: false, msg: "start_at имеет неверный формат даты" };
   
+  const rules = globalSettings();
+
   // Проверка на дату в прошлом
-  if (ms < Date.now() + 60 * 60 * 1000) {
-    return { ok: false, msg: "Сеанс должен быть не раньше чем через 1 час от текущего времени" };
+  if (ms < Date.now() + rules.session_lead_minutes * 60_000) {
+    return { ok: false, msg: `Сеанс должен быть не раньше чем через ${rules.session_lead_minutes} мин от текущего времени` };
   }
   
   const d = Number(duration_min);
   if (!Number.isInteger(d) || d <= 0) return { ok: false, msg: "duration_min должен быть целым числом > 0" };
-  if (d < MIN_SESSION_DURATION || d > MAX_SESSION_DURATION) {
-    return { ok: false, msg: `Длительность сеанса должна быть от ${MIN_SESSION_DURATION} до ${MAX_SESSION_DURATION} минут` };
+  if (d < rules.min_session_duration || d > rules.max_session_duration) {
+    return { ok: false, msg: `Длительность сеанса должна быть от ${rules.min_session_duration} до ${rules.max_session_duration} минут` };
   }
   if (typeof hall_id !== "string" || !hall_id.trim()) return { ok: false, msg: "hall_id должен быть строкой" };
+  if (body.base_price !== undefined) {
+    const p = Number(body.base_price);
+    if (!Number.isInteger(p) || p < 0) return { ok: false, msg: "base_price должен быть целым числом >= 0" };
+  }
+  // новый сеанс сразу в продаже, если не попросили придержать продажи; дальше статус
+  // меняется только через POST /api/sessions/:id/status
+  if (body.status !== undefined && !["scheduled", "on_sale"].includes(body.status)) {
+    return { ok: false, msg: "status нового сеанса может быть только scheduled или on_sale" };
+  }
+  return { ok: true };
+}
+
+function ensureHallPayload(body) {
+  const { name, rows_count, seats_per_row } = body;
+  if (typeof name !== "string" || !name.trim()) return { ok: false, msg: "name должен быть непустой строкой" };
+  const rows = Number(rows_count);
+  if (!Number.isInteger(rows) || rows < 1 || rows > MAX_HALL_ROWS) {
+    return { ok: false, msg: `rows_count должен быть целым числом от 1 до ${MAX_HALL_ROWS}` };
+  }
+  const perRow = Number(seats_per_row);
+  if (!Number.isInteger(perRow) || perRow < 1 || perRow > MAX_SEATS_PER_ROW) {
+    return { ok: false, msg: `seats_per_row должен быть целым числом от 1 до ${MAX_SEATS_PER_ROW}` };
+  }
+  return { ok: true };
+}
+
+// Будущие сеансы зала, брони которых не помещаются в новую раскладку
+function findSessionsNotFittingLayout(hallId, rowsCount, seatsPerRow) {
+  return db.prepare(`
+    SELECT
+      s.id, m.title AS movie, s.start_at,
+      COUNT(bs.booking_id) AS booked,
+      SUM(CASE WHEN bs.seat_row > @rows OR bs.seat_no > @perRow THEN 1 ELSE 0 END) AS seats_outside
+    FROM sessions s
+    JOIN movies m ON m.id = s.movie_id
+    JOIN booking_seats bs ON bs.session_id = s.id
+    WHERE s.hall_id = @hallId AND s.start_at > @now AND s.status <> 'cancelled'
+    GROUP BY s.id
+    HAVING booked > @capacity OR seats_outside > 0
+    ORDER BY s.start_at
+  `).all({
+    hallId,
+    rows: rowsCount,
+    perRow: seatsPerRow,
+    capacity: rowsCount * seatsPerRow,
+    now: new Date().toISOString()
+  });
+}
+
+function ensureMoviePayload(body) {
+  const { title, runtime_min, age_rating, description } = body;
+  if (typeof title !== "string" || !title.trim()) return { ok: false, msg: "title должен быть непустой строкой" };
+  const r = Number(runtime_min);
+  if (!Number.isInteger(r) || r <= 0) return { ok: false, msg: "runtime_min должен быть целым числом > 0" };
+  if (!AGE_RATINGS.includes(age_rating)) {
+    return { ok: false, msg: `age_rating должен быть одним из: ${AGE_RATINGS.join(", ")}` };
+  }
+  if (description !== undefined && description !== null && typeof description !== "string") {
+    return { ok: false, msg: "description должен быть строкой" };
+  }
+  return { ok: true };
+}
+
+function movieExists(movieId) {
+  return !!db.prepare(`SELECT 1 FROM movies WHERE id = ?`).get(movieId);
+}
+
+// Цены
+
+function hhmmToMinutes(text) {
+  const m = /^(\d{2}):(\d{2})$/.exec(text || "");
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 23 || min > 59) return null;
+  return h * 60 + min;
+}
+
+function minutesOfDay(iso) {
+  return zonedParts(parseISOToMs(iso)).minutes;
+}
+
+// окно времени может переходить через полночь: 22:00–02:00
+function surchargeApplies(surcharge, session) {
+  if (surcharge.hall_id && surcharge.hall_id !== session.hall_id) return false;
+  if (!surcharge.time_from || !surcharge.time_to) return true;
+
+  const t = minutesOfDay(session.start_at);
+  const from = hhmmToMinutes(surcharge.time_from);
+  const to = hhmmToMinutes(surcharge.time_to);
+  return from <= to ? t >= from && t < to : t >= from || t < to;
+}
+
+// Цена билета по каждому тарифу: (база + надбавки) со скидкой тарифа
+function getSessionPricing(session) {
+  const surcharges = db.prepare(`SELECT * FROM price_surcharges`).all().filter(sc => surchargeApplies(sc, session));
+  const surchargeTotal = surcharges.reduce((sum, sc) => sum + sc.amount, 0);
+  const full = Math.max(0, session.base_price + surchargeTotal);
+
+  const prices = {};
+  for (const t of db.prepare(`SELECT id, discount_percent FROM tariffs`).all()) {
+    prices[t.id] = Math.round(full * (100 - t.discount_percent) / 100);
+  }
+
+  return {
+    basePrice: session.base_price,
+    surcharges: surcharges.map(sc => ({ id: sc.id, name: sc.name, amount: sc.amount })),
+    prices
+  };
+}
+
+function ensureSurchargePayload(body) {
+  const { name, hall_id, time_from, time_to, amount } = body;
+  if (typeof name !== "string" || !name.trim()) return { ok: false, msg: "name должен быть непустой строкой" };
+  if (hall_id !== undefined && hall_id !== null && !hallExists(hall_id)) {
+    return { ok: false, msg: "Указанный зал (hall_id) не существует" };
+  }
+  const hasFrom = time_from !== undefined && time_from !== null && time_from !== "";
+  const hasTo = time_to !== undefined && time_to !== null && time_to !== "";
+  if (hasFrom !== hasTo) return { ok: false, msg: "time_from и time_to задаются вместе" };
+  if (hasFrom && (hhmmToMinutes(time_from) === null || hhmmToMinutes(time_to) === null)) {
+    return { ok: false, msg: "time_from и time_to должны быть в формате ЧЧ:ММ" };
+  }
+  if (!Number.isInteger(Number(amount))) return { ok: false, msg: "amount должен быть целым числом" };
   return { ok: true };
 }
 
+function surchargeParams(body) {
+  return {
+    name: body.name.trim(),
+    hall_id: body.hall_id || null,
+    time_from: body.time_from || null,
+    time_to: body.time_to || null,
+    amount: Number(body.amount)
+  };
+}
+
 function hallExists(hallId) {
   return !!db.prepare(`SELECT 1 FROM halls WHERE id = ?`).get(hallId);
 }
 
 function checkSessionOverlap({ hall_id, start_at, duration_min, excludeSessionId = null }) {
+  const pause = setting("pause_minutes", hall_id);
   const newStartMs = parseISOToMs(start_at);
-  const newEndMs = newStartMs + (duration_min + PAUSE_MINUTES) * 60_000;
+  const newEndMs = newStartMs + (duration_min + pause) * 60_000;
 
   const rows = db.prepare(`
     SELECT id, start_at, duration_min
     FROM sessions
-    WHERE hall_id = ?
+    WHERE hall_id = ? AND status <> 'cancelled'
     ${excludeSessionId ? "AND id <> ?" : ""}
   `).all(excludeSessionId ? [hall_id, excludeSessionId] : [hall_id]);
 
   for (const s of rows) {
-    const { startMs, endMs } = sessionWindowMs(s);
+    const { startMs, endMs } = sessionWindowMs(s, pause);
     const overlaps = newStartMs < endMs && startMs < newEndMs;
     if (overlaps) {
       return {
@@ -90,103 +504,1667 @@ function checkSessionOverlap({ hall_id, start_at, duration_min, excludeSessionId
   return { ok: true };
 }
 
-function getHallCapacityBySession(sessionId) {
-  const row = db.prepare(`
-    SELECT h.capacity AS capacity
+function insertSession({ movie_id, start_at, duration_min, hall_id, base_price, status = "on_sale" }) {
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO sessions (id, movie_id, start_at, duration_min, hall_id, base_price, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, movie_id, new Date(parseISOToMs(start_at)).toISOString(), Number(duration_min), hall_id, Number(base_price ?? DEFAULT_BASE_PRICE), status);
+  return id;
+}
+
+// Статус сеанса. В базе хранится решение администратора: scheduled (продажи ещё не открыты),
+// on_sale или cancelled. Закрытие продаж, показ и завершение наступают по часам и не хранятся.
+// closeMinutes — правило sales_close_minutes зала; списки передают его, чтобы не читать на каждой строке
+function sessionStatus(session, closeMinutes = setting("sales_close_minutes", session.hall_id), now = Date.now()) {
+  if (session.status === "cancelled") return "cancelled";
+  const startMs = parseISOToMs(session.start_at);
+  if (now >= startMs + session.duration_min * 60_000) return "finished";
+  if (now >= startMs) return "running";
+  if (now >= startMs - closeMinutes * 60_000) return "sales_closed";
+  return session.status;
+}
+
+// Переходы, которые администратор делает вручную, из текущего статуса сеанса.
+// Отменить можно и идущий сеанс (сломался проектор) — брони сохраняются для возвратов
+const SESSION_TRANSITIONS = {
+  scheduled: ["on_sale", "cancelled"],
+  on_sale: ["scheduled", "cancelled"],
+  sales_closed: ["cancelled"],
+  running: ["cancelled"],
+  finished: [],
+  cancelled: []
+};
+
+const SALES_BLOCKED = {
+  scheduled: "Продажи на сеанс ещё не открыты",
+  sales_closed: "Продажи на сеанс закрыты",
+  running: "Сеанс уже начался",
+  finished: "Сеанс уже закончился",
+  cancelled: "Сеанс отменён"
+};
+
+// статусы, в которых сеанс нельзя редактировать (PUT /api/sessions/:id)
+const SESSION_LOCKED = {
+  running: "Сеанс уже идёт — его нельзя изменить",
+  finished: "Сеанс завершён — его нельзя изменить",
+  cancelled: "Отменённый сеанс нельзя изменить"
+};
+
+// null — на сеанс можно продавать и бронировать; иначе причина отказа
+function salesBlockedReason(session) {
+  return SALES_BLOCKED[sessionStatus(session)] ?? null;
+}
+
+// пересечение нового слота с ещё не сохранёнными слотами того же зала (для пакетного создания)
+function findOverlapInBatch(slot, batch) {
+  const a = sessionWindowMs(slot);
+  return batch.find(other => {
+    if (other.hall_id !== slot.hall_id) return false;
+    const b = sessionWindowMs(other);
+    return a.startMs < b.endMs && b.startMs < a.endMs;
+  });
+}
+
+// Проверка одного сеанса из пакета: те же правила, что у POST /api/sessions,
+// плюс пересечения с ранее принятыми сеансами пакета. null — сеанс можно создавать
+function validateSessionSlot(slot, batch) {
+  if (!slot || typeof slot !== "object" || Array.isArray(slot)) return { reason: "Сеанс должен быть объектом" };
+  const payloadCheck = ensureSessionPayload(slot);
+  if (!payloadCheck.ok) return { reason: payloadCheck.msg };
+  if (!movieExists(slot.movie_id)) return { reason: "Указанный фильм (movie_id) не существует" };
+  if (!hallExists(slot.hall_id)) return { reason: "Указанный зал (hall_id) не существует" };
+
+  const overlap = checkSessionOverlap(slot);
+  if (!overlap.ok) return { reason: "Пересекается с существующим сеансом в зале", conflict: overlap.conflict };
+
+  const batchConflict = findOverlapInBatch(slot, batch);
+  if (batchConflict) {
+    return { reason: "Пересекается с другим сеансом из этого же набора", conflict: { start_at: batchConflict.start_at } };
+  }
+  return null;
+}
+
+// Автосоставление расписания
+
+const PACK_STEP_MINUTES = 5; // начало сеансов округляется до 5 минут
+
+function roundUpToStep(ms) {
+  const step = PACK_STEP_MINUTES * 60_000;
+  return Math.ceil(ms / step) * step;
+}
+
+// Жадная раскладка фильмов по окну работы зала: каждый раз берём фильм с наибольшей
+// долей невыставленных показов и ставим его в ближайшее свободное окно (с техпаузой)
+function packDaySchedule({ hall_id, openMs, closeMs, films, busy }) {
+  const intervals = [...busy].sort((a, b) => a.startMs - b.startMs);
+  const remaining = films.map(f => ({ ...f, left: f.count }));
+  const proposal = [];
+  const pause = setting("pause_minutes", hall_id);
+
+  const earliestFit = (fromMs, duration) => {
+    let start = roundUpToStep(fromMs);
+    for (;;) {
+      const end = start + (duration + pause) * 60_000;
+      const clash = intervals.find(b => start < b.endMs && b.startMs < end);
+      if (!clash) break;
+      start = roundUpToStep(clash.endMs);
+    }
+    return start + duration * 60_000 <= closeMs ? start : null;
+  };
+
+  let cursor = openMs;
+  for (;;) {
+    const candidates = remaining
+      .filter(f => f.left > 0)
+      .sort((a, b) => b.left / b.count - a.left / a.count);
+
+    let placed = false;
+    for (const film of candidates) {
+      const start = earliestFit(cursor, film.duration_min);
+      if (start === null) continue;
+
+      const slot = {
+        movie_id: film.movie_id,
+        hall_id,
+        start_at: new Date(start).toISOString(),
+        duration_min: film.duration_min,
+        base_price: film.base_price
+      };
+      proposal.push(slot);
+      intervals.push(sessionWindowMs(slot, pause));
+      intervals.sort((a, b) => a.startMs - b.startMs);
+      film.left--;
+      cursor = sessionWindowMs(slot, pause).endMs;
+      placed = true;
+      break;
+    }
+    if (!placed) break;
+  }
+
+  return {
+    sessions: proposal,
+    unplaced: remaining.filter(f => f.left > 0).map(f => ({ movie_id: f.movie_id, requested: f.count, missing: f.left }))
+  };
+}
+
+// Отчёты
+
+const MAX_REPORT_DAYS = 366;
+const WEEKDAY_NAMES = ["Понедельник", "Вторник", "Среда", "Четверг", "Пятница", "Суббота", "Воскресенье"];
+
+function occupancyPercent(booked, capacity) {
+  return capacity > 0 ? Math.round((booked / capacity) * 1000) / 10 : 0;
+}
+
+// Группировка строк отчёта по сеансам: суммы билетов, мест и выручки
+function aggregateBy(rows, keyOf, labelOf) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = keyOf(r);
+    if (!groups.has(key)) groups.set(key, { key, label: labelOf(r), sessions: 0, booked: 0, capacity: 0, revenue: 0 });
+    const g = groups.get(key);
+    g.sessions++;
+    g.booked += r.booked;
+    g.capacity += r.capacity;
+    g.revenue += r.revenue;
+  }
+  return [...groups.values()].map(g => ({ ...g, occupancy: occupancyPercent(g.booked, g.capacity) }));
+}
+
+function buildOccupancyReport(from, to) {
+  const startHour = setting("business_day_start_hour");
+  const { fromIso, toIso } = businessDayBounds(from, to, startHour);
+
+  const rows = db.prepare(`
+    SELECT
+      s.id, s.start_at, s.movie_id, m.title AS movie, s.hall_id, h.name AS hall_name,
+      h.capacity AS capacity,
+      COALESCE(SUM(b.tickets), 0) AS booked,
+      COALESCE(SUM(b.total_price), 0) AS revenue
+    FROM sessions s
+    JOIN movies m ON m.id = s.movie_id
+    JOIN halls h ON h.id = s.hall_id
+    LEFT JOIN bookings b ON b.session_id = s.id AND b.status = 'confirmed'
+    WHERE s.start_at >= ? AND s.start_at < ? AND s.status <> 'cancelled'
+    GROUP BY s.id
+    ORDER BY s.start_at
+  `).all(fromIso, toIso);
+
+  // отменённые сеансы не входят в заполняемость и выручку: их брони — к возврату
+  const cancelled = db.prepare(`
+    SELECT
+      s.id, s.start_at, m.title AS movie, h.name AS hall_name, s.cancelled_at, s.cancel_reason,
+      COUNT(b.id) AS bookings,
+      COALESCE(SUM(b.tickets), 0) AS tickets,
+      COALESCE(SUM(b.total_price), 0) AS refund
+    FROM sessions s
+    JOIN movies m ON m.id = s.movie_id
+    JOIN halls h ON h.id = s.hall_id
+    LEFT JOIN bookings b ON b.session_id = s.id AND b.status = 'cancelled'
+    WHERE s.start_at >= ? AND s.start_at < ? AND s.status = 'cancelled'
+    GROUP BY s.id
+    ORDER BY s.start_at
+  `).all(fromIso, toIso).map(r => ({ ...r, business_date: businessDateOf(r.start_at, startHour) }));
+
+  const sessions = rows.map(r => ({
+    ...r,
+    business_date: businessDateOf(r.start_at, startHour),
+    occupancy: occupancyPercent(r.booked, r.capacity)
+  }));
+
+  const films = aggregateBy(sessions, r => r.movie_id, r => r.movie)
+    .sort((a, b) => b.occupancy - a.occupancy);
+  const halls = aggregateBy(sessions, r => r.hall_id, r => r.hall_name)
+    .sort((a, b) => a.label.localeCompare(b.label, "ru"));
+  const weekdays = aggregateBy(sessions, r => weekdayOf(r.business_date), r => WEEKDAY_NAMES[weekdayOf(r.business_date) - 1])
+    .sort((a, b) => a.key - b.key);
+  const topFilms = [...films]
+    .sort((a, b) => b.booked - a.booked || b.revenue - a.revenue)
+    .slice(0, 5);
+
+  const totals = aggregateBy(sessions, () => "all", () => "Итого")[0] ||
+    { key: "all", label: "Итого", sessions: 0, booked: 0, capacity: 0, revenue: 0, occupancy: 0 };
+
+  const cancelledTotals = {
+    sessions: cancelled.length,
+    bookings: cancelled.reduce((sum, r) => sum + r.bookings, 0),
+    tickets: cancelled.reduce((sum, r) => sum + r.tickets, 0),
+    refund: cancelled.reduce((sum, r) => sum + r.refund, 0)
+  };
+
+  return { from, to, totals, sessions, films, halls, weekdays, topFilms, cancelled, cancelledTotals };
+}
+
+function ensureReportRange(query) {
+  const { from, to } = query;
+  const fromMs = parseDateOnly(from);
+  const toMs = parseDateOnly(to);
+  if (fromMs === null || toMs === null) return { ok: false, msg: "from и to должны быть датами ГГГГ-ММ-ДД" };
+  if (fromMs > toMs) return { ok: false, msg: "from не может быть позже to" };
+  if ((toMs - fromMs) / 86_400_000 + 1 > MAX_REPORT_DAYS) {
+    return { ok: false, msg: `Период отчёта не может быть длиннее ${MAX_REPORT_DAYS} дней` };
+  }
+  return { ok: true };
+}
+
+// CSV для Excel: разделитель ";" и BOM, чтобы кириллица открывалась без танцев
+function toCsv(rows, columns) {
+  const escape = (v) => {
+    const text = v == null ? "" : String(v);
+    return /[";\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+  };
+  const lines = [columns.map(c => escape(c.title)).join(";")];
+  for (const r of rows) lines.push(columns.map(c => escape(c.value(r))).join(";"));
+  return "\uFEFF" + lines.join("\r\n");
+}
+
+const GROUP_CSV_COLUMNS = [
+  { title: "Название", value: r => r.label },
+  { title: "Сеансов", value: r => r.sessions },
+  { title: "Продано билетов", value: r => r.booked },
+  { title: "Мест", value: r => r.capacity },
+  { title: "Заполняемость, %", value: r => r.occupancy },
+  { title: "Выручка, руб.", value: r => r.revenue }
+];
+
+const REPORT_CSV_SECTIONS = {
+  sessions: [
+    { title: "Начало", value: r => r.start_at },
+    { title: "Фильм", value: r => r.movie },
+    { title: "Зал", value: r => r.hall_name },
+    { title: "Продано билетов", value: r => r.booked },
+    { title: "Мест", value: r => r.capacity },
+    { title: "Заполняемость, %", value: r => r.occupancy },
+    { title: "Выручка, руб.", value: r => r.revenue }
+  ],
+  films: GROUP_CSV_COLUMNS,
+  halls: GROUP_CSV_COLUMNS,
+  weekdays: GROUP_CSV_COLUMNS,
+  topFilms: GROUP_CSV_COLUMNS,
+  cancelled: [
+    { title: "Начало", value: r => r.start_at },
+    { title: "Фильм", value: r => r.movie },
+    { title: "Зал", value: r => r.hall_name },
+    { title: "Причина отмены", value: r => r.cancel_reason },
+    { title: "Броней", value: r => r.bookings },
+    { title: "Билетов", value: r => r.tickets },
+    { title: "К возврату, руб.", value: r => r.refund }
+  ]
+};
+
+// Импорт расписания
+
+const MAX_IMPORT_ROWS = 2000;
+const IMPORT_COLUMNS = ["movie", "start", "duration", "hall", "base_price"];
+
+// Минимальный разбор CSV: разделитель ";" или "," (по заголовку), кавычки "" внутри полей, BOM
+function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes(";") ? ";" : ",";
+
+  const lines = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let lineStart = 1;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      fields.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      fields.push(field);
+      lines.push({ line: lineStart, fields });
+      fields = [];
+      field = "";
+      line++;
+      lineStart = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || fields.length) {
+    fields.push(field);
+    lines.push({ line: lineStart, fields });
+  }
+
+  const nonEmpty = lines.filter(l => l.fields.some(f => f.trim() !== ""));
+  if (nonEmpty.length === 0) return [];
+  const [header, ...data] = nonEmpty;
+  const names = header.fields.map(h => h.trim().toLowerCase());
+  return data.map(l => {
+    const row = {};
+    names.forEach((name, idx) => (row[name] = (l.fields[idx] ?? "").trim()));
+    return { line: l.line, row };
+  });
+}
+
+// "2025-03-01 18:30", "2025-03-01T18:30" или полный ISO с зоной
+// "ГГГГ-ММ-ДД ЧЧ:ММ" — календарное время по часам кинотеатра
+function parseImportStart(text) {
+  if (typeof text !== "string" || !text.trim()) return null;
+  const ms = parseISOToMs(text.trim());
+  return ms === null ? null : new Date(ms).toISOString();
+}
+
+// Строка файла -> слот сеанса; фильм ищется по id или названию, зал — по id или имени
+function resolveImportRow(row, movies, halls) {
+  const movieRef = String(row.movie ?? "").trim();
+  const movie = movies.find(m => m.id === movieRef) || movies.find(m => normalizeTitle(m.title) === normalizeTitle(movieRef));
+  if (!movie) return { error: `Фильм "${movieRef}" не найден в каталоге` };
+
+  const hallRef = String(row.hall ?? "").trim();
+  const hallKey = hallRef.toLowerCase();
+  const hall = halls.find(h => h.id.toLowerCase() === hallKey) || halls.find(h => h.name.toLowerCase() === hallKey);
+  if (!hall) return { error: `Зал "${hallRef}" не найден` };
+
+  const start_at = parseImportStart(typeof row.start === "string" ? row.start : undefined);
+  if (!start_at) return { error: "start должен быть датой и временем (ГГГГ-ММ-ДД ЧЧ:ММ или ISO)" };
+
+  const empty = (v) => v === undefined || v === null || v === "";
+  const duration_min = empty(row.duration) ? movie.runtime_min : Number(row.duration);
+  const slot = { movie_id: movie.id, movie: movie.title, hall_id: hall.id, hall_name: hall.name, start_at, duration_min };
+  if (!empty(row.base_price)) slot.base_price = Number(row.base_price);
+  return { slot };
+}
+
+// Шаблоны расписания
+
+function parseDateOnly(text) {
+  if (typeof text !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const ms = Date.parse(`${text}T00:00:00Z`);
+  return Number.isNaN(ms) || new Date(ms).toISOString().slice(0, 10) !== text ? null : ms;
+}
+
+function ensureTemplatePayload(body) {
+  const { movie_id, hall_id, times, weekdays, date_from, date_to, duration_min, base_price } = body;
+  if (typeof movie_id !== "string" || !movieExists(movie_id)) return { ok: false, msg: "Указанный фильм (movie_id) не существует" };
+  if (typeof hall_id !== "string" || !hallExists(hall_id)) return { ok: false, msg: "Указанный зал (hall_id) не существует" };
+
+  if (!Array.isArray(times) || times.length === 0) return { ok: false, msg: "times должен быть непустым массивом ЧЧ:ММ" };
+  if (times.some(t => hhmmToMinutes(t) === null)) return { ok: false, msg: "Каждое время в times должно быть в формате ЧЧ:ММ" };
+  if (new Set(times).size !== times.length) return { ok: false, msg: "Время в times не должно повторяться" };
+
+  if (weekdays !== undefined && (!Array.isArray(weekdays) || weekdays.length === 0 ||
+      weekdays.some(d => !Number.isInteger(d) || d < 1 || d > 7))) {
+    return { ok: false, msg: "weekdays должен быть непустым массивом чисел от 1 (пн) до 7 (вс)" };
+  }
+
+  const fromMs = parseDateOnly(date_from);
+  const toMs = parseDateOnly(date_to);
+  if (fromMs === null || toMs === null) return { ok: false, msg: "date_from и date_to должны быть датами ГГГГ-ММ-ДД" };
+  if (fromMs > toMs) return { ok: false, msg: "date_from не может быть позже date_to" };
+  if ((toMs - fromMs) / 86_400_000 + 1 > MAX_TEMPLATE_DAYS) {
+    return { ok: false, msg: `Период шаблона не может быть длиннее ${MAX_TEMPLATE_DAYS} дней` };
+  }
+
+  if (duration_min !== undefined && (!Number.isInteger(Number(duration_min)) || Number(duration_min) <= 0)) {
+    return { ok: false, msg: "duration_min должен быть целым числом > 0" };
+  }
+  if (base_price !== undefined && (!Number.isInteger(Number(base_price)) || Number(base_price) < 0)) {
+    return { ok: false, msg: "base_price должен быть целым числом >= 0" };
+  }
+  return { ok: true };
+}
+
+function templateParams(body) {
+  return {
+    movie_id: body.movie_id,
+    hall_id: body.hall_id,
+    times: JSON.stringify([...body.times].sort()),
+    weekdays: JSON.stringify(body.weekdays ? [...new Set(body.weekdays)].sort() : [1, 2, 3, 4, 5, 6, 7]),
+    date_from: body.date_from,
+    date_to: body.date_to,
+    duration_min: Number(body.duration_min ?? stmt.getMovie.get(body.movie_id).runtime_min),
+    base_price: Number(body.base_price ?? DEFAULT_BASE_PRICE)
+  };
+}
+
+function rowToTemplate(row) {
+  return { ...row, times: JSON.parse(row.times), weekdays: JSON.parse(row.weekdays) };
+}
+
+// Слоты шаблона по рабочим дням периода: сеанс в 01:30 пятницы идёт в ночь на субботу
+function expandTemplate(template) {
+  const slots = [];
+  const startHour = setting("business_day_start_hour");
+  for (let date = template.date_from; date <= template.date_to; date = addDays(date, 1)) {
+    if (!template.weekdays.includes(weekdayOf(date))) continue;
+
+    for (const time of template.times) {
+      slots.push({
+        movie_id: template.movie_id,
+        hall_id: template.hall_id,
+        start_at: new Date(businessTimeToMs(date, time, startHour)).toISOString(),
+        duration_min: template.duration_min,
+        base_price: template.base_price
+      });
+    }
+  }
+  return slots;
+}
+
+function getHallBySession(sessionId) {
+  return db.prepare(`
+    SELECT h.id, h.capacity, h.rows_count, h.seats_per_row
     FROM sessions s
     JOIN halls h ON h.id = s.hall_id
     WHERE s.id = ?
   `).get(sessionId);
-  return row ? row.capacity : null;
 }
 
+// занятость считаем по местам: у каждой брони ровно tickets записей в booking_seats
 function getTotalTicketsInSession(sessionId, excludeBookingIds = []) {
   if (!excludeBookingIds.length) {
-    const row = db.prepare(`SELECT COALESCE(SUM(tickets), 0) AS t FROM bookings WHERE session_id = ?`).get(sessionId);
+    const row = db.prepare(`SELECT COUNT(*) AS t FROM booking_seats WHERE session_id = ?`).get(sessionId);
     return row.t;
   }
   const placeholders = excludeBookingIds.map(() => "?").join(",");
   const row = db.prepare(`
-    SELECT COALESCE(SUM(tickets), 0) AS t
-    FROM bookings
+    SELECT COUNT(*) AS t
+    FROM booking_seats
     WHERE session_id = ?
-      AND id NOT IN (${placeholders})
+      AND booking_id NOT IN (${placeholders})
   `).get([sessionId, ...excludeBookingIds]);
   return row.t;
 }
 
-function findBookingByName(sessionId, customer_name) {
-  return db.prepare(`
-    SELECT id, session_id, customer_name, tickets
-    FROM bookings
-    WHERE session_id = ? AND customer_name = ?
-  `).get(sessionId, customer_name);
-}
+// Покупатели
 
-function ensureBookingPayload(body) {
-  const { customer_name, tickets } = body;
-  if (typeof customer_name !== "string" || !customer_name.trim()) {
-    return { ok: false, msg: "ФИО (customer_name) должно быть непустой строкой" };
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_CUSTOMER_SUGGESTIONS = 10;
+const MAX_SEARCH_RESULTS = 100;
+
+function ensureCustomerFields(body) {
+  const { customer_id, customer_phone, customer_email } = body;
+  if (customer_id !== undefined && customer_id !== null && typeof customer_id !== "string") {
+    return { ok: false, msg: "customer_id должен быть строкой" };
   }
-  const t = Number(tickets);
-  if (!Number.isInteger(t) || t <= 0) return { ok: false, msg: "tickets должно быть целым числом > 0" };
-  if (t > MAX_TICKETS_PER_PERSON) {
-    return { ok: false, msg: `Превышен лимит билетов (максимум ${MAX_TICKETS_PER_PERSON})` };
+  if (customer_phone !== undefined && customer_phone !== null && customer_phone !== "") {
+    if (typeof customer_phone !== "string" || normalizePhone(customer_phone).length < 11) {
+      return { ok: false, msg: "Телефон (customer_phone) должен содержать не меньше 10 цифр" };
+    }
+  }
+  if (customer_email !== undefined && customer_email !== null && customer_email !== "") {
+    if (typeof customer_email !== "string" || !EMAIL_RE.test(customer_email.trim())) {
+      return { ok: false, msg: "Некорректный e-mail (customer_email)" };
+    }
   }
   return { ok: true };
 }
 
-function sessionExists(sessionId) {
-  return !!db.prepare(`SELECT 1 FROM sessions WHERE id = ?`).get(sessionId);
+// контакт из листа ожидания — свободный текст: в нём может оказаться телефон или e-mail
+function contactFields(contact) {
+  const text = String(contact || "").trim();
+  if (EMAIL_RE.test(text)) return { customer_email: text };
+  if ((normalizePhone(text) || "").length >= 11) return { customer_phone: text };
+  return {};
 }
 
-// Подготовленные запросы
-const stmt = {
-  getHall: db.prepare(`SELECT * FROM halls WHERE id = ?`),
-  getSession: db.prepare(`SELECT * FROM sessions WHERE id = ?`),
-  getBooking: db.prepare(`SELECT * FROM bookings WHERE id = ?`),
-  getSessionWithHall: db.prepare(`
-    SELECT s.*, h.name as hall_name, h.capacity as hall_capacity 
-    FROM sessions s 
-    JOIN halls h ON h.id = s.hall_id 
-    WHERE s.id = ?
-  `)
-};
+// Ищет покупателя, ничего не записывая. Явный customer_id (выбор из подсказки) важнее всего;
+// иначе нужно совпадение нормализованного ФИО: с тем же телефоном или e-mail, а без них —
+// с покупателем, чьи контакты не противоречат введённым. Разные ФИО с одним телефоном
+// (семья) остаются разными покупателями. Несколько кандидатов — неоднозначность,
+// которую кассир разрешает выбором из подсказки
+function findCustomer(body) {
+  const input = {
+    name: String(body.customer_name ?? "").trim().replace(/\s+/g, " "),
+    name_norm: normalizeCustomerName(body.customer_name),
+    phone: body.customer_phone ? body.customer_phone.trim() : null,
+    phone_norm: normalizePhone(body.customer_phone),
+    email: body.customer_email ? body.customer_email.trim() : null,
+    email_norm: normalizeEmail(body.customer_email)
+  };
+
+  if (body.customer_id) {
+    const customer = db.prepare(`SELECT * FROM customers WHERE id = ?`).get(body.customer_id);
+    if (!customer) return { ok: false, msg: "Покупатель (customer_id) не найден" };
+    return { ok: true, customer, input };
+  }
 
-// API
+  const namesakes = db.prepare(`SELECT * FROM customers WHERE name_norm = ?`).all(input.name_norm);
+  let candidates = [];
+  if (input.phone_norm) candidates = namesakes.filter(c => c.phone_norm === input.phone_norm);
+  if (!candidates.length && input.email_norm) candidates = namesakes.filter(c => c.email_norm === input.email_norm);
+  if (!candidates.length) {
+    candidates = namesakes.filter(c => (!input.phone_norm || !c.phone_norm) && (!input.email_norm || !c.email_norm));
+  }
 
-// конфиг + залы (для клиента)
-app.get("/api/config", (req, res) => {
-  const halls = db.prepare(`SELECT id, name, capacity FROM halls ORDER BY name`).all();
-  res.json({
-    pauseMinutes: PAUSE_MINUTES,
-    maxTicketsPerPerson: MAX_TICKETS_PER_PERSON,
-    minSessionDuration: MIN_SESSION_DURATION,
-    maxSessionDuration: MAX_SESSION_DURATION,
-    halls
-  });
+  if (candidates.length > 1) {
+    return {
+      ok: false,
+      msg: "Найдено несколько покупателей с такими данными — выберите покупателя из подсказки или укажите телефон",
+      details: { candidates: candidates.map(publicCustomer) }
+    };
+  }
+  return { ok: true, customer: candidates[0] || null, input };
+}
+
+// Вызывается в момент записи брони: заводит нового покупателя или дополняет контакты найденного
+function saveCustomer(req, match) {
+  const { customer, input } = match;
+  if (!customer) {
+    const id = uuidv4();
+    db.prepare(`
+      INSERT INTO customers (id, name, name_norm, phone, phone_norm, email, email_norm, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, input.name, input.name_norm, input.phone, input.phone_norm, input.email, input.email_norm, new Date().toISOString());
+    audit(req, { action: "customer.create", entityId: id, after: snapshot("customer", id) });
+    return snapshot("customer", id);
+  }
+
+  const addPhone = input?.phone_norm && !customer.phone_norm;
+  const addEmail = input?.email_norm && !customer.email_norm;
+  if (!addPhone && !addEmail) return customer;
+
+  db.prepare(`
+    UPDATE customers SET phone = ?, phone_norm = ?, email = ?, email_norm = ? WHERE id = ?
+  `).run(
+    addPhone ? input.phone : customer.phone, addPhone ? input.phone_norm : customer.phone_norm,
+    addEmail ? input.email : customer.email, addEmail ? input.email_norm : customer.email_norm,
+    customer.id
+  );
+  const after = snapshot("customer", customer.id);
+  audit(req, { action: "customer.update", entityId: customer.id, before: customer, after });
+  return after;
+}
+
+function publicCustomer(c) {
+  return { id: c.id, name: c.name, phone: c.phone, email: c.email };
+}
+
+function findBookingByCustomer(sessionId, customerId) {
+  if (!customerId) return undefined;
+  const booking = db.prepare(`
+    SELECT id, session_id, customer_name, customer_id, tickets, status, hold_expires_at
+    FROM bookings
+    WHERE session_id = ? AND customer_id = ?
+  `).get(sessionId, customerId);
+  return booking ? { ...booking, seats: getBookingSeats(booking.id) } : undefined;
+}
+
+// limit — лимит в одни руки для зала сеанса
+function ensureBookingPayload(body, limit) {
+  const { customer_name, seats } = body;
+  if (typeof customer_name !== "string" || !customer_name.trim()) {
+    return { ok: false, msg: "ФИО (customer_name) должно быть непустой строкой" };
+  }
+  const customerCheck = ensureCustomerFields(body);
+  if (!customerCheck.ok) return customerCheck;
+  if (!Array.isArray(seats) || seats.length === 0) return { ok: false, msg: "seats должен быть непустым массивом мест" };
+  if (seats.length > limit) {
+    return { ok: false, msg: `Превышен лимит билетов (максимум ${limit})` };
+  }
+  if (body.hold !== undefined && typeof body.hold !== "boolean") return { ok: false, msg: "hold должен быть true или false" };
+  if (body.hold_minutes !== undefined) {
+    const m = Number(body.hold_minutes);
+    if (!Number.isInteger(m) || m < 1 || m > MAX_HOLD_MINUTES) {
+      return { ok: false, msg: `hold_minutes должен быть целым числом от 1 до ${MAX_HOLD_MINUTES}` };
+    }
+  }
+  return { ok: true };
+}
+
+// Временные брони
+
+function holdExpiresAt(body) {
+  const minutes = Number(body.hold_minutes ?? DEFAULT_HOLD_MINUTES);
+  return new Date(Date.now() + minutes * 60_000).toISOString();
+}
+
+// объединять можно только брони в одном статусе: временная не должна молча стать подтверждённой и наоборот
+function statusMismatch(existing, status) {
+  if (existing.status === status) return null;
+  return existing.status === "hold"
+    ? "У покупателя уже есть временная бронь на этот сеанс: подтвердите или снимите её"
+    : "У покупателя уже есть подтверждённая бронь на этот сеанс: добавьте места в неё";
+}
+
+// Снимает временные брони с истёкшим сроком; места освобождаются каскадом через booking_seats
+function releaseExpiredHolds() {
+  const expired = db.prepare(`
+    SELECT id, session_id FROM bookings WHERE status = 'hold' AND hold_expires_at <= ?
+  `).all(new Date().toISOString());
+  if (!expired.length) return [];
+
+  afterCommit(db.transaction(() => {
+    for (const { id } of expired) {
+      const before = snapshot("booking", id);
+      db.prepare(`DELETE FROM bookings WHERE id = ?`).run(id);
+      audit(null, { action: "booking.expire", entityId: id, before });
+
+      // покупатель из очереди не выкупил выделенные места — место в очереди тоже истекает
+      const entries = db.prepare(`SELECT * FROM waitlist WHERE booking_id = ? AND status = 'promoted'`).all(id);
+      for (const entry of entries) {
+        db.prepare(`UPDATE waitlist SET status = 'expired' WHERE id = ?`).run(entry.id);
+        audit(null, { action: "waitlist.expire", entityId: entry.id, before: entry, after: snapshot("waitlist", entry.id) });
+      }
+    }
+  }));
+  new Set(expired.map(b => b.session_id)).forEach(sessionId => promoteWaitlist(sessionId));
+  return expired.map(b => b.id);
+}
+
+// Лист ожидания
+
+function ensureWaitlistPayload(body, limit) {
+  const { customer_name, contact, tickets } = body;
+  if (typeof customer_name !== "string" || !customer_name.trim()) {
+    return { ok: false, msg: "ФИО (customer_name) должно быть непустой строкой" };
+  }
+  if (contact !== undefined && typeof contact !== "string") return { ok: false, msg: "contact должен быть строкой" };
+  const t = Number(tickets);
+  if (!Number.isInteger(t) || t < 1 || t > limit) {
+    return { ok: false, msg: `tickets должен быть целым числом от 1 до ${limit}` };
+  }
+  return { ok: true };
+}
+
+function listWaitlist(sessionId, withContacts = true) {
+  const entries = db.prepare(`
+    SELECT id, session_id, customer_name, contact, tickets, created_at, status, booking_id, promoted_at
+    FROM waitlist
+    WHERE session_id = ?
+    ORDER BY status DESC, created_at, rowid
+  `).all(sessionId);
+  return withContacts ? entries : entries.map(({ contact, ...w }) => w);
+}
+
+// сеанс не состоится — ждать мест на нём больше нечего
+function cancelWaitlist(req, sessionId) {
+  const entries = db.prepare(`SELECT * FROM waitlist WHERE session_id = ? AND status = 'waiting'`).all(sessionId);
+  for (const entry of entries) {
+    db.prepare(`UPDATE waitlist SET status = 'cancelled' WHERE id = ?`).run(entry.id);
+    audit(req, { action: "waitlist.cancel", entityId: entry.id, before: entry, after: snapshot("waitlist", entry.id) });
+  }
+  return entries.length;
+}
+
+// Освободившиеся места предлагаются очереди по порядку: запись, которой хватает мест и которая
+// не превышает лимит в одни руки, становится временной бронью (или добавляется во временную бронь покупателя).
+// Записи, которым мест пока не хватает, остаются в очереди и не блокируют следующих; к подтверждённой
+// брони места из очереди не добавляются — их покупатель ещё не подтверждал
+function promoteWaitlist(sessionId, req = null) {
+  const entries = db.prepare(`
+    SELECT * FROM waitlist WHERE session_id = ? AND status = 'waiting' ORDER BY created_at, rowid
+  `).all(sessionId);
+  if (!entries.length) return [];
+
+  const session = stmt.getSession.get(sessionId);
+  const hall = getHallBySession(sessionId);
+  if (!session || !hall || sessionStatus(session) !== "on_sale") return [];
+
+  const limit = setting("max_tickets_per_person", hall.id);
+  const promoted = [];
+  afterCommit(db.transaction(() => {
+    for (const entry of entries) {
+      const free = hall.capacity - getTotalTicketsInSession(sessionId);
+      if (free <= 0) break;
+      if (entry.tickets > free) continue;
+
+      const existing = findBookingByCustomer(sessionId, entry.customer_id);
+      if (existing && (statusMismatch(existing, "hold") || existing.tickets + entry.tickets > limit)) continue;
+
+      const seats = pickFreeSeats(sessionId, hall, entry.tickets);
+      if (!seats) continue;
+
+      let bookingId;
+      if (existing) {
+        bookingId = existing.id;
+        const before = snapshot("booking", bookingId);
+        writeBookingSeats(bookingId, sessionId, mergeSeats(existing.seats, seats));
+        audit(req, { action: "booking.merge", entityId: bookingId, before, after: snapshot("booking", bookingId), details: { waitlistId: entry.id } });
+      } else {
+        bookingId = uuidv4();
+        db.prepare(`
+          INSERT INTO bookings (id, session_id, customer_name, customer_id, tickets, status, hold_expires_at, version)
+          VALUES (?, ?, ?, ?, ?, 'hold', ?, 0)
+        `).run(bookingId, sessionId, entry.customer_name, entry.customer_id, entry.tickets, holdExpiresAt({}));
+        writeBookingSeats(bookingId, sessionId, seats);
+        audit(req, { action: "booking.create", entityId: bookingId, after: snapshot("booking", bookingId), details: { waitlistId: entry.id } });
+      }
+
+      db.prepare(`
+        UPDATE waitlist SET status = 'promoted', booking_id = ?, promoted_at = ? WHERE id = ?
+      `).run(bookingId, new Date().toISOString(), entry.id);
+      audit(req, { action: "waitlist.promote", entityId: entry.id, before: entry, after: snapshot("waitlist", entry.id) });
+      promoted.push({ waitlistId: entry.id, bookingId, customer_name: entry.customer_name, seats });
+    }
+  }));
+  return promoted;
+}
+
+// Места
+
+function seatKey(s) {
+  return `${s.row}:${s.seat}`;
+}
+
+function sortSeats(seats) {
+  return [...seats].sort((a, b) => a.row - b.row || a.seat - b.seat);
+}
+
+function mergeSeats(a, b) {
+  const byKey = new Map([...a, ...b].map(s => [seatKey(s), s]));
+  return sortSeats([...byKey.values()]);
+}
+
+// проверяет, что места существуют в раскладке зала и не повторяются; тариф по умолчанию — взрослый
+function ensureSeatsPayload(seats, hall) {
+  if (!Array.isArray(seats) || seats.length === 0) return { ok: false, msg: "seats должен быть непустым массивом мест" };
+
+  const tariffIds = new Set(db.prepare(`SELECT id FROM tariffs`).all().map(t => t.id));
+  const seen = new Set();
+  const normalized = [];
+  for (const s of seats) {
+    const row = Number(s?.row);
+    const seat = Number(s?.seat);
+    if (!Number.isInteger(row) || !Number.isInteger(seat)) {
+      return { ok: false, msg: "Каждое место задаётся целыми числами row и seat" };
+    }
+    if (row < 1 || row > hall.rows_count || seat < 1 || seat > hall.seats_per_row) {
+      return { ok: false, msg: `В зале нет места: ряд ${row}, место ${seat}` };
+    }
+    const key = seatKey({ row, seat });
+    if (seen.has(key)) return { ok: false, msg: `Место указано дважды: ряд ${row}, место ${seat}` };
+    const tariff = s.tariff ?? DEFAULT_TARIFF;
+    if (!tariffIds.has(tariff)) return { ok: false, msg: `Неизвестный тариф: ${tariff}` };
+    seen.add(key);
+    normalized.push({ row, seat, tariff });
+  }
+  return { ok: true, seats: sortSeats(normalized) };
+}
+
+function getBookingSeats(bookingId) {
+  return db.prepare(`
+    SELECT seat_row AS row, seat_no AS seat, tariff_id AS tariff, price, ticket_code AS code, checked_in_at
+    FROM booking_seats
+    WHERE booking_id = ?
+    ORDER BY seat_row, seat_no
+  `).all(bookingId);
+}
+
+function getTakenSeatKeys(sessionId, excludeBookingIds = []) {
+  const rows = db.prepare(`SELECT booking_id, seat_row, seat_no FROM booking_seats WHERE session_id = ?`).all(sessionId);
+  return new Set(rows
+    .filter(r => !excludeBookingIds.includes(r.booking_id))
+    .map(r => seatKey({ row: r.seat_row, seat: r.seat_no })));
+}
+
+// места из списка, которые уже заняты другими бронями сеанса
+function findTakenSeats(sessionId, seats, excludeBookingIds = []) {
+  const taken = getTakenSeatKeys(sessionId, excludeBookingIds);
+  return seats.filter(s => taken.has(seatKey(s)));
+}
+
+// Подбор мест при переброске: сначала те же места, потом подряд в одном ряду, потом любые свободные
+// reserved — ключи мест, уже обещанных другим броням, но ещё не записанных
+function pickFreeSeats(sessionId, hall, count, preferred = [], reserved = new Set()) {
+  const taken = getTakenSeatKeys(sessionId);
+  const isFree = (s) => s.row <= hall.rows_count && s.seat <= hall.seats_per_row &&
+    !taken.has(seatKey(s)) && !reserved.has(seatKey(s));
+
+  if (preferred.length === count && preferred.every(isFree)) return sortSeats(preferred);
+
+  for (let row = 1; row <= hall.rows_count; row++) {
+    let run = [];
+    for (let seat = 1; seat <= hall.seats_per_row; seat++) {
+      run = isFree({ row, seat }) ? [...run, { row, seat }] : [];
+      if (run.length === count) return run;
+    }
+  }
+
+  const any = [];
+  for (let row = 1; row <= hall.rows_count && any.length < count; row++) {
+    for (let seat = 1; seat <= hall.seats_per_row && any.length < count; seat++) {
+      if (isFree({ row, seat })) any.push({ row, seat });
+    }
+  }
+  return any.length === count ? any : null;
+}
+
+// при переброске на другие места билеты сохраняют свои тарифы
+function carryTariffs(seats, sourceSeats) {
+  const source = sortSeats(sourceSeats);
+  return sortSeats(seats).map((s, i) => ({ row: s.row, seat: s.seat, tariff: source[i]?.tariff || DEFAULT_TARIFF }));
+}
+
+// Перезаписывает места брони по ценам сеанса; bookings.tickets и total_price пересчитываются
+function writeBookingSeats(bookingId, sessionId, seats) {
+  const { prices } = getSessionPricing(stmt.getSession.get(sessionId));
+  const priced = seats.map(s => {
+    const tariff = s.tariff || DEFAULT_TARIFF;
+    return { row: s.row, seat: s.seat, tariff, price: prices[tariff] ?? prices[DEFAULT_TARIFF] };
+  });
+  const total = priced.reduce((sum, s) => sum + s.price, 0);
+
+  // место, оставшееся за бронью на том же сеансе, сохраняет код и отметку о проходе —
+  // уже напечатанный билет остаётся действительным
+  const kept = new Map(db.prepare(`
+    SELECT seat_row, seat_no, ticket_code, checked_in_at, checked_in_by
+    FROM booking_seats WHERE booking_id = ? AND session_id = ?
+  `).all(bookingId, sessionId).map(r => [`${r.seat_row}:${r.seat_no}`, r]));
+
+  db.prepare(`DELETE FROM booking_seats WHERE booking_id = ?`).run(bookingId);
+  const insert = db.prepare(`
+    INSERT INTO booking_seats (booking_id, session_id, seat_row, seat_no, tariff_id, price, ticket_code, checked_in_at, checked_in_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  for (const s of priced) {
+    const old = kept.get(`${s.row}:${s.seat}`);
+    s.code = old?.ticket_code || uniqueTicketCode();
+    insert.run(bookingId, sessionId, s.row, s.seat, s.tariff, s.price, s.code, old?.checked_in_at ?? null, old?.checked_in_by ?? null);
+  }
+  db.prepare(`UPDATE bookings SET session_id = ?, tickets = ?, total_price = ?, version = version + 1 WHERE id = ?`)
+    .run(sessionId, priced.length, total, bookingId);
+
+  return { seats: priced, total };
+}
+
+function uniqueTicketCode() {
+  const exists = db.prepare(`SELECT 1 FROM booking_seats WHERE ticket_code = ?`);
+  let code;
+  do code = generateTicketCode(); while (exists.get(code));
+  return code;
+}
+
+// телефон и почту покупателя видит только касса — как и /api/customers
+function seesContacts(req) {
+  return Boolean(ROLE_GRANTS[req.user?.role]?.includes("cashier"));
+}
+
+function listSessionBookings(sessionId, withContacts = true) {
+  const bookings = db.prepare(`
+    SELECT b.id, b.session_id, b.customer_name, b.customer_id, c.phone AS customer_phone, c.email AS customer_email,
+      b.tickets, b.total_price, b.status, b.hold_expires_at, b.version
+    FROM bookings b
+    LEFT JOIN customers c ON c.id = b.customer_id
+    WHERE b.session_id = ?
+    ORDER BY b.customer_name
+  `).all(sessionId);
+
+  const seatsByBooking = new Map(bookings.map(b => [b.id, []]));
+  const seats = db.prepare(`
+    SELECT booking_id, seat_row AS row, seat_no AS seat, tariff_id AS tariff, price, ticket_code AS code, checked_in_at
+    FROM booking_seats
+    WHERE session_id = ?
+    ORDER BY seat_row, seat_no
+  `).all(sessionId);
+  for (const { booking_id, ...seat } of seats) seatsByBooking.get(booking_id)?.push(seat);
+
+  return bookings.map(({ customer_phone, customer_email, ...b }) => ({
+    ...b,
+    ...(withContacts && { customer_phone, customer_email }),
+    seats: seatsByBooking.get(b.id)
+  }));
+}
+
+function sessionExists(sessionId) {
+  return !!db.prepare(`SELECT 1 FROM sessions WHERE id = ?`).get(sessionId);
+}
+
+// Журнал изменений
+
+const AUDIT_TABLES = {
+  session: "sessions",
+  hall: "halls",
+  movie: "movies",
+  tariff: "tariffs",
+  surcharge: "price_surcharges",
+  template: "schedule_templates",
+  waitlist: "waitlist",
+  user: "users",
+  customer: "customers"
+};
+const MAX_AUDIT_LIMIT = 500;
+
+function actorOf(req) {
+  if (!req) return "system"; // фоновые действия сервера, например снятие просроченных броней
+  return req.user ? req.user.username : `anonymous@${req.ip}`;
+}
+
+// снимок записи для журнала; у брони вместе с местами
+function snapshot(entity, id) {
+  if (entity === "booking") {
+    const booking = stmt.getBooking.get(id);
+    return booking ? { ...booking, seats: getBookingSeats(id) } : null;
+  }
+  if (entity === "user") {
+    const user = db.prepare(`SELECT * FROM users WHERE id = ?`).get(id);
+    return user ? publicUser(user) : null;
+  }
+  return db.prepare(`SELECT * FROM ${AUDIT_TABLES[entity]} WHERE id = ?`).get(id) || null;
+}
+
+// action вида "booking.update": сущность берётся из префикса, сеанс брони — из снимков
+function audit(req, { action, entityId = null, before = null, after = null, details = null }) {
+  const entity = action.split(".")[0];
+  const sessionId = entity === "session" ? entityId : (after?.session_id ?? before?.session_id ?? null);
+  const bookingId = entity === "booking" ? entityId : null;
+  const toJson = (v) => (v === null || v === undefined ? null : JSON.stringify(v));
+
+  const info = db.prepare(`
+    INSERT INTO audit_log (at, actor, action, entity, entity_id, session_id, booking_id, before_json, after_json, details_json)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    new Date().toISOString(), actorOf(req), action, entity, entityId, sessionId, bookingId,
+    toJson(before), toJson(after), toJson(details)
+  );
+
+  // переброска затрагивает два сеанса — клиентам нужны оба
+  const sessionIds = [sessionId, before?.session_id, details?.fromSessionId, details?.toSessionId]
+    .filter((id, i, all) => id && all.indexOf(id) === i);
+  pendingChanges.push({
+    id: Number(info.lastInsertRowid),
+    action,
+    entity,
+    entity_id: entityId,
+    session_ids: sessionIds,
+    actor: actorOf(req)
+  });
+  if (!db.inTransaction) flushChanges();
+}
+
+// Живые обновления (Server-Sent Events)
+
+const EVENT_HEARTBEAT_MS = 25_000;
+const eventClients = new Set();
+
+function broadcastChange(event) {
+  const frame = `id: ${event.id}\nevent: change\ndata: ${JSON.stringify(event)}\n\n`;
+  for (const client of eventClients) client.write(frame);
+}
+
+function rowToAuditEntry(row) {
+  const { before_json, after_json, details_json, ...rest } = row;
+  return {
+    ...rest,
+    before: before_json ? JSON.parse(before_json) : null,
+    after: after_json ? JSON.parse(after_json) : null,
+    details: details_json ? JSON.parse(details_json) : null
+  };
+}
+
+// Подготовленные запросы
+const stmt = {
+  getHall: db.prepare(`SELECT * FROM halls WHERE id = ?`),
+  getMovie: db.prepare(`SELECT * FROM movies WHERE id = ?`),
+  getTemplate: db.prepare(`SELECT * FROM schedule_templates WHERE id = ?`),
+  getSession: db.prepare(`SELECT * FROM sessions WHERE id = ?`),
+  getBooking: db.prepare(`SELECT * FROM bookings WHERE id = ?`),
+  getSessionWithHall: db.prepare(`
+    SELECT s.*, m.title as movie, m.age_rating as age_rating, m.runtime_min as runtime_min,
+      h.name as hall_name, h.capacity as hall_capacity,
+      h.rows_count as hall_rows, h.seats_per_row as hall_seats_per_row
+    FROM sessions s 
+    JOIN movies m ON m.id = s.movie_id
+    JOIN halls h ON h.id = s.hall_id 
+    WHERE s.id = ?
+  `)
+};
+
+// API
+
+// Вход и выход
+app.post("/api/auth/login", (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username !== "string" || typeof password !== "string") return badRequest(res, "Укажите логин и пароль");
+
+  const user = db.prepare(`SELECT * FROM users WHERE username = ? AND active = 1`).get(username.trim());
+  if (!user || !verifyPassword(password, user.password_hash)) {
+    return res.status(401).json({ error: "Неверный логин или пароль" });
+  }
+
+  const now = new Date();
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(now.getTime() + AUTH_SESSION_HOURS * 3_600_000).toISOString();
+  db.transaction(() => {
+    db.prepare(`DELETE FROM auth_sessions WHERE expires_at <= ?`).run(now.toISOString());
+    db.prepare(`
+      INSERT INTO auth_sessions (token, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)
+    `).run(token, user.id, now.toISOString(), expiresAt);
+  })();
+
+  res.setHeader("Set-Cookie", sessionCookie(token, AUTH_SESSION_HOURS * 3600));
+  res.json({ user: publicUser(user), expires_at: expiresAt });
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  const token = authToken(req);
+  if (token) db.prepare(`DELETE FROM auth_sessions WHERE token = ?`).run(token);
+  res.setHeader("Set-Cookie", sessionCookie("", 0));
+  res.json({ ok: true });
 });
 
-app.get("/api/halls", (req, res) => {
-  const halls = db.prepare(`SELECT id, name, capacity FROM halls ORDER BY name`).all();
-  res.json(halls);
-});
+app.get("/api/auth/me", (req, res) => {
+  const { token, ...user } = req.user;
+  res.json(user);
+});
+
+app.put("/api/auth/password", atomic((req, res) => {
+  const { current_password, new_password } = req.body || {};
+  const user = db.prepare(`SELECT * FROM users WHERE id = ?`).get(req.user.id);
+  if (typeof current_password !== "string" || !verifyPassword(current_password, user.password_hash)) {
+    return badRequest(res, "Текущий пароль указан неверно");
+  }
+  if (typeof new_password !== "string" || new_password.length < MIN_PASSWORD_LENGTH) {
+    return badRequest(res, `Пароль должен быть не короче ${MIN_PASSWORD_LENGTH} символов`);
+  }
+
+  db.transaction(() => {
+    db.prepare(`UPDATE users SET password_hash = ? WHERE id = ?`).run(hashPassword(new_password), user.id);
+    // остальные сессии пользователя закрываются, текущая остаётся
+    db.prepare(`DELETE FROM auth_sessions WHERE user_id = ? AND token <> ?`).run(user.id, req.user.token);
+    audit(req, { action: "user.password", entityId: user.id });
+  })();
+  res.json({ ok: true });
+}));
+
+// Сотрудники
+app.get("/api/users", requireRole("admin"), (req, res) => {
+  const users = db.prepare(`SELECT * FROM users ORDER BY display_name`).all();
+  res.json(users.map(publicUser));
+});
+
+app.post("/api/users", requireRole("admin"), atomic((req, res) => {
+  const payloadCheck = ensureUserPayload(req.body, true);
+  if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
+
+  const username = req.body.username.trim();
+  if (db.prepare(`SELECT 1 FROM users WHERE username = ?`).get(username)) {
+    return badRequest(res, "Пользователь с таким логином уже существует");
+  }
+
+  const id = uuidv4();
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO users (id, username, display_name, password_hash, role, active, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id, username, req.body.display_name.trim(), hashPassword(req.body.password), req.body.role,
+      req.body.active === false ? 0 : 1, new Date().toISOString()
+    );
+    audit(req, { action: "user.create", entityId: id, after: snapshot("user", id) });
+  })();
+
+  res.status(201).json({ id });
+}));
+
+app.put("/api/users/:id", requireRole("admin"), atomic((req, res) => {
+  const id = req.params.id;
+  const before = snapshot("user", id);
+  if (!before) return res.status(404).json({ error: "Пользователь не найден" });
+
+  const payloadCheck = ensureUserPayload(req.body, false);
+  if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
+
+  const active = req.body.active ?? before.active;
+  const losesAdmin = before.role === "admin" && before.active && (req.body.role !== "admin" || !active);
+  if (losesAdmin && countActiveAdmins(id) === 0) {
+    return badRequest(res, "Нельзя лишить прав последнего активного администратора");
+  }
+
+  db.transaction(() => {
+    db.prepare(`UPDATE users SET display_name = ?, role = ?, active = ? WHERE id = ?`)
+      .run(req.body.display_name.trim(), req.body.role, active ? 1 : 0, id);
+    if (req.body.password !== undefined) {
+      db.prepare(`UPDATE users SET password_hash = ? WHERE id = ?`).run(hashPassword(req.body.password), id);
+    }
+    // смена роли, пароля или блокировка действуют сразу: выданные сессии закрываются
+    if (req.body.password !== undefined || req.body.role !== before.role || !active) {
+      db.prepare(`DELETE FROM auth_sessions WHERE user_id = ?`).run(id);
+    }
+    audit(req, {
+      action: "user.update",
+      entityId: id,
+      before,
+      after: snapshot("user", id),
+      details: req.body.password !== undefined ? { passwordChanged: true } : null
+    });
+  })();
+
+  res.json({ ok: true });
+}));
+
+app.delete("/api/users/:id", requireRole("admin"), atomic((req, res) => {
+  const id = req.params.id;
+  const before = snapshot("user", id);
+  if (!before) return res.status(404).json({ error: "Пользователь не найден" });
+  if (id === req.user.id) return badRequest(res, "Нельзя удалить собственную учётную запись");
+  if (before.role === "admin" && before.active && countActiveAdmins(id) === 0) {
+    return badRequest(res, "Нельзя удалить последнего активного администратора");
+  }
+
+  db.transaction(() => {
+    db.prepare(`DELETE FROM users WHERE id = ?`).run(id);
+    audit(req, { action: "user.delete", entityId: id, before });
+  })();
+  res.json({ ok: true });
+}));
+
+// Покупатели: подсказка в форме брони и правка контактов
+
+app.get("/api/customers", requireRole("cashier"), (req, res) => {
+  const q = normalizeCustomerName(req.query.q);
+  if (q.length < 2) return res.json([]);
+
+  const digits = q.replace(/\D/g, "");
+  const rows = db.prepare(`
+    SELECT c.*, (SELECT COUNT(*) FROM bookings b WHERE b.customer_id = c.id) AS bookings_count
+    FROM customers c
+    WHERE c.name_norm LIKE @like
+      OR c.email_norm LIKE @like
+      OR (@digits <> '' AND c.phone_norm LIKE @digitsLike)
+    ORDER BY c.name_norm
+    LIMIT @limit
+  `).all({
+    like: `%${q}%`,
+    digits: digits.length >= 3 ? digits : "",
+    digitsLike: `%${digits}%`,
+    limit: MAX_CUSTOMER_SUGGESTIONS
+  });
+
+  res.json(rows.map(c => ({ ...publicCustomer(c), bookings_count: c.bookings_count })));
+});
+
+app.put("/api/customers/:id", requireRole("cashier"), atomic((req, res) => {
+  const id = req.params.id;
+  const before = snapshot("customer", id);
+  if (!before) return res.status(404).json({ error: "Покупатель не найден" });
+
+  const { name } = req.body || {};
+  if (typeof name !== "string" || !name.trim()) return badRequest(res, "ФИО (name) должно быть непустой строкой");
+  const fieldsCheck = ensureCustomerFields({ customer_phone: req.body.phone, customer_email: req.body.email });
+  if (!fieldsCheck.ok) return badRequest(res, fieldsCheck.msg);
+
+  const phone = req.body.phone ? req.body.phone.trim() : null;
+  const email = req.body.email ? req.body.email.trim() : null;
+  const cleanName = name.trim().replace(/\s+/g, " ");
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE customers SET name = ?, name_norm = ?, phone = ?, phone_norm = ?, email = ?, email_norm = ? WHERE id = ?
+    `).run(cleanName, normalizeCustomerName(cleanName), phone, normalizePhone(phone), email, normalizeEmail(email), id);
+    // ФИО в бронях и очереди — копия для списков и отчётов, держим её в согласии с карточкой
+    db.prepare(`UPDATE bookings SET customer_name = ? WHERE customer_id = ?`).run(cleanName, id);
+    db.prepare(`UPDATE waitlist SET customer_name = ? WHERE customer_id = ?`).run(cleanName, id);
+    audit(req, { action: "customer.update", entityId: id, before, after: snapshot("customer", id) });
+  })();
+
+  res.json({ ok: true, customer: publicCustomer(snapshot("customer", id)) });
+}));
+
+// конфиг + залы (для клиента)
+app.get("/api/config", (req, res) => {
+  const halls = db.prepare(`SELECT id, name, capacity, rows_count, seats_per_row FROM halls ORDER BY name`).all();
+  const movies = db.prepare(`SELECT id, title, runtime_min, age_rating, description FROM movies ORDER BY title`).all();
+  const tariffs = db.prepare(`SELECT id, name, discount_percent FROM tariffs ORDER BY sort_order`).all();
+  const rules = globalSettings();
+  res.json({
+    pauseMinutes: rules.pause_minutes,
+    maxTicketsPerPerson: rules.max_tickets_per_person,
+    minSessionDuration: rules.min_session_duration,
+    maxSessionDuration: rules.max_session_duration,
+    sessionLeadMinutes: rules.session_lead_minutes,
+    salesCloseMinutes: rules.sales_close_minutes,
+    timeZone: CINEMA_TIME_ZONE,
+    businessDayStartHour: rules.business_day_start_hour,
+    businessDate: businessDateOf(new Date().toISOString(), rules.business_day_start_hour),
+    ageRatings: AGE_RATINGS,
+    defaultBasePrice: DEFAULT_BASE_PRICE,
+    defaultHoldMinutes: DEFAULT_HOLD_MINUTES,
+    maxHoldMinutes: MAX_HOLD_MINUTES,
+    halls: halls.map(h => ({ ...h, settings: effectiveSettings(h.id) })),
+    movies,
+    tariffs
+  });
+});
+
+app.get("/api/version", (req, res) => {
+  res.json({
+    app: APP_VERSION,
+    schema: {
+      version: schemaVersion(),
+      latest: LATEST_SCHEMA_VERSION,
+      migrations: appliedMigrations()
+    }
+  });
+});
+
+// Правила работы кинотеатра: общие значения и переопределения по залам
+app.get("/api/settings", requireRole("admin"), (req, res) => {
+  const halls = db.prepare(`SELECT id, name FROM halls ORDER BY name`).all();
+  res.json({
+    definitions: Object.entries(SETTING_DEFS).map(([key, def]) => ({ key, ...def })),
+    values: globalSettings(),
+    halls: halls.map(h => ({ ...h, overrides: hallOverrides(h.id), effective: effectiveSettings(h.id) }))
+  });
+});
+
+app.put("/api/settings", requireRole("admin"), atomic((req, res) => {
+  const payloadCheck = ensureSettingsPayload(req.body);
+  if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
+
+  const before = globalSettings();
+  const next = { ...before, ...payloadCheck.values };
+  if (next.min_session_duration > next.max_session_duration) {
+    return badRequest(res, "Минимальная длительность сеанса больше максимальной", {
+      min_session_duration: next.min_session_duration,
+      max_session_duration: next.max_session_duration
+    });
+  }
+
+  db.transaction(() => {
+    const upsert = db.prepare(`
+      INSERT INTO settings (key, value) VALUES (?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value
+    `);
+    Object.entries(payloadCheck.values).forEach(([key, value]) => upsert.run(key, value));
+    audit(req, { action: "settings.update", before, after: globalSettings() });
+  })();
+
+  res.json(globalSettings());
+}));
+
+app.put("/api/halls/:id/settings", requireRole("admin"), atomic((req, res) => {
+  const id = req.params.id;
+  if (!hallExists(id)) return res.status(404).json({ error: "Зал не найден" });
+
+  const payloadCheck = ensureSettingsPayload(req.body, { forHall: true });
+  if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
+
+  db.transaction(() => {
+    const before = hallOverrides(id);
+    const upsert = db.prepare(`
+      INSERT INTO hall_settings (hall_id, key, value) VALUES (?, ?, ?)
+      ON CONFLICT(hall_id, key) DO UPDATE SET value = excluded.value
+    `);
+    const remove = db.prepare(`DELETE FROM hall_settings WHERE hall_id = ? AND key = ?`);
+    Object.entries(payloadCheck.values).forEach(([key, value]) => {
+      if (value === null) remove.run(id, key);
+      else upsert.run(id, key, value);
+    });
+    audit(req, { action: "hall.settings", entityId: id, before, after: hallOverrides(id) });
+  })();
+
+  res.json({ overrides: hallOverrides(id), effective: effectiveSettings(id) });
+}));
+
+app.get("/api/halls", (req, res) => {
+  const halls = db.prepare(`SELECT id, name, capacity, rows_count, seats_per_row FROM halls ORDER BY name`).all();
+  res.json(halls);
+});
+
+// CRUD залов
+app.post("/api/halls", requireRole("admin"), atomic((req, res) => {
+  const payloadCheck = ensureHallPayload(req.body);
+  if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
+
+  const { id: requestedId } = req.body;
+  if (requestedId !== undefined && (typeof requestedId !== "string" || !requestedId.trim())) {
+    return badRequest(res, "id зала должен быть непустой строкой");
+  }
+  const id = requestedId ? requestedId.trim() : uuidv4();
+  if (hallExists(id)) return badRequest(res, "Зал с таким id уже существует");
+
+  const rows = Number(req.body.rows_count);
+  const perRow = Number(req.body.seats_per_row);
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO halls (id, name, capacity, rows_count, seats_per_row)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(id, req.body.name.trim(), rows * perRow, rows, perRow);
+    audit(req, { action: "hall.create", entityId: id, after: snapshot("hall", id) });
+  })();
+
+  res.status(201).json({ id });
+}));
+
+app.put("/api/halls/:id", requireRole("admin"), atomic((req, res) => {
+  const id = req.params.id;
+  if (!hallExists(id)) return res.status(404).json({ error: "Зал не найден" });
+
+  const payloadCheck = ensureHallPayload(req.body);
+  if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
+
+  const rows = Number(req.body.rows_count);
+  const perRow = Number(req.body.seats_per_row);
+
+  const notFitting = findSessionsNotFittingLayout(id, rows, perRow);
+  if (notFitting.length) {
+    return badRequest(res, "Нельзя изменить зал: брони будущих сеансов не помещаются в новую раскладку", {
+      capacity: rows * perRow,
+      sessions: notFitting
+    });
+  }
+
+  db.transaction(() => {
+    const before = snapshot("hall", id);
+    db.prepare(`
+      UPDATE halls
+      SET name = ?, capacity = ?, rows_count = ?, seats_per_row = ?
+      WHERE id = ?
+    `).run(req.body.name.trim(), rows * perRow, rows, perRow, id);
+    audit(req, { action: "hall.update", entityId: id, before, after: snapshot("hall", id) });
+  })();
+
+  // в увеличенный зал могут пройти те, кто ждёт в очереди на будущие сеансы
+  const futureSessions = db.prepare(`SELECT id FROM sessions WHERE hall_id = ? AND start_at > ?`)
+    .all(id, new Date().toISOString());
+  futureSessions.forEach(s => promoteWaitlist(s.id, req));
+
+  res.json({ ok: true });
+}));
+
+app.delete("/api/halls/:id", requireRole("admin"), atomic((req, res) => {
+  const id = req.params.id;
+  if (!hallExists(id)) return res.status(404).json({ error: "Зал не найден" });
+
+  const sessionsCount = db.prepare(`SELECT COUNT(*) AS c FROM sessions WHERE hall_id = ?`).get(id).c;
+  if (sessionsCount > 0) {
+    return badRequest(res, "Нельзя удалить зал: в нём есть сеансы", { sessions: sessionsCount });
+  }
+
+  db.transaction(() => {
+    audit(req, { action: "hall.delete", entityId: id, before: snapshot("hall", id) });
+    db.prepare(`DELETE FROM halls WHERE id = ?`).run(id);
+  })();
+  res.json({ ok: true });
+}));
+
+// Каталог фильмов
+app.get("/api/movies", (req, res) => {
+  const movies = db.prepare(`SELECT id, title, runtime_min, age_rating, description FROM movies ORDER BY title`).all();
+  res.json(movies);
+});
+
+app.get("/api/movies/:id", (req, res) => {
+  const movie = stmt.getMovie.get(req.params.id);
+  if (!movie) return res.status(404).json({ error: "Фильм не найден" });
+  res.json(movie);
+});
+
+app.post("/api/movies", requireRole("admin"), atomic((req, res) => {
+  const payloadCheck = ensureMoviePayload(req.body);
+  if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
+
+  const { title, runtime_min, age_rating, description } = req.body;
+  const id = uuidv4();
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO movies (id, title, runtime_min, age_rating, description)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(id, title.trim(), Number(runtime_min), age_rating, (description || "").trim());
+    audit(req, { action: "movie.create", entityId: id, after: snapshot("movie", id) });
+  })();
+
+  res.status(201).json({ id });
+}));
+
+app.put("/api/movies/:id", requireRole("admin"), atomic((req, res) => {
+  const id = req.params.id;
+  if (!movieExists(id)) return res.status(404).json({ error: "Фильм не найден" });
+
+  const payloadCheck = ensureMoviePayload(req.body);
+  if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
+
+  const { title, runtime_min, age_rating, description } = req.body;
+
+  db.transaction(() => {
+    const before = snapshot("movie", id);
+    db.prepare(`
+      UPDATE movies
+      SET title = ?, runtime_min = ?, age_rating = ?, description = ?
+      WHERE id = ?
+    `).run(title.trim(), Number(runtime_min), age_rating, (description || "").trim(), id);
+    audit(req, { action: "movie.update", entityId: id, before, after: snapshot("movie", id) });
+  })();
+
+  res.json({ ok: true });
+}));
+
+app.delete("/api/movies/:id", requireRole("admin"), atomic((req, res) => {
+  const id = req.params.id;
+  if (!movieExists(id)) return res.status(404).json({ error: "Фильм не найден" });
+
+  const sessionsCount = db.prepare(`SELECT COUNT(*) AS c FROM sessions WHERE movie_id = ?`).get(id).c;
+  if (sessionsCount > 0) {
+    return badRequest(res, "Нельзя удалить фильм: на него есть сеансы", { sessions: sessionsCount });
+  }
+
+  db.transaction(() => {
+    audit(req, { action: "movie.delete", entityId: id, before: snapshot("movie", id) });
+    db.prepare(`DELETE FROM movies WHERE id = ?`).run(id);
+  })();
+  res.json({ ok: true });
+}));
+
+// Тарифы и надбавки
+app.get("/api/tariffs", (req, res) => {
+  const tariffs = db.prepare(`SELECT id, name, discount_percent FROM tariffs ORDER BY sort_order`).all();
+  res.json(tariffs);
+});
+
+app.put("/api/tariffs/:id", requireRole("admin"), atomic((req, res) => {
+  const id = req.params.id;
+  if (!db.prepare(`SELECT 1 FROM tariffs WHERE id = ?`).get(id)) return res.status(404).json({ error: "Тариф не найден" });
+
+  const { name, discount_percent } = req.body;
+  if (typeof name !== "string" || !name.trim()) return badRequest(res, "name должен быть непустой строкой");
+  const d = Number(discount_percent);
+  if (!Number.isInteger(d) || d < 0 || d > 100) return badRequest(res, "discount_percent должен быть целым числом от 0 до 100");
+
+  db.transaction(() => {
+    const before = snapshot("tariff", id);
+    db.prepare(`UPDATE tariffs SET name = ?, discount_percent = ? WHERE id = ?`).run(name.trim(), d, id);
+    audit(req, { action: "tariff.update", entityId: id, before, after: snapshot("tariff", id) });
+  })();
+  res.json({ ok: true });
+}));
+
+app.get("/api/surcharges", (req, res) => {
+  const surcharges = db.prepare(`
+    SELECT id, name, hall_id, time_from, time_to, amount
+    FROM price_surcharges
+    ORDER BY name
+  `).all();
+  res.json(surcharges);
+});
+
+app.post("/api/surcharges", requireRole("admin"), atomic((req, res) => {
+  const payloadCheck = ensureSurchargePayload(req.body);
+  if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
+
+  const id = uuidv4();
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO price_surcharges (id, name, hall_id, time_from, time_to, amount)
+      VALUES (@id, @name, @hall_id, @time_from, @time_to, @amount)
+    `).run({ id, ...surchargeParams(req.body) });
+    audit(req, { action: "surcharge.create", entityId: id, after: snapshot("surcharge", id) });
+  })();
+
+  res.status(201).json({ id });
+}));
+
+app.put("/api/surcharges/:id", requireRole("admin"), atomic((req, res) => {
+  const id = req.params.id;
+  if (!db.prepare(`SELECT 1 FROM price_surcharges WHERE id = ?`).get(id)) {
+    return res.status(404).json({ error: "Надбавка не найдена" });
+  }
+
+  const payloadCheck = ensureSurchargePayload(req.body);
+  if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
+
+  db.transaction(() => {
+    const before = snapshot("surcharge", id);
+    db.prepare(`
+      UPDATE price_surcharges
+      SET name = @name, hall_id = @hall_id, time_from = @time_from, time_to = @time_to, amount = @amount
+      WHERE id = @id
+    `).run({ id, ...surchargeParams(req.body) });
+    audit(req, { action: "surcharge.update", entityId: id, before, after: snapshot("surcharge", id) });
+  })();
+
+  res.json({ ok: true });
+}));
+
+app.delete("/api/surcharges/:id", requireRole("admin"), atomic((req, res) => {
+  const id = req.params.id;
+  const before = snapshot("surcharge", id);
+  if (!before) return res.status(404).json({ error: "Надбавка не найдена" });
+
+  db.transaction(() => {
+    db.prepare(`DELETE FROM price_surcharges WHERE id = ?`).run(id);
+    audit(req, { action: "surcharge.delete", entityId: id, before });
+  })();
+  res.json({ ok: true });
+}));
+
+// CRUD сеансов
+// Список сеансов: фильтры, сортировка и курсорная пагинация
+
+const SESSION_PAGE_SIZE = 50;
+const MAX_SESSION_PAGE_SIZE = 500;
+
+// ключи сортировки; последний ключ — id, чтобы курсор однозначно указывал на строку
+const SESSION_SORTS = {
+  start_at: { keys: ["start_at", "id"], dir: "ASC" },
+  "-start_at": { keys: ["start_at", "id"], dir: "DESC" },
+  occupancy: { keys: ["occupancy", "start_at", "id"], dir: "ASC" },
+  "-occupancy": { keys: ["occupancy", "start_at", "id"], dir: "DESC" },
+  movie: { keys: ["movie", "start_at", "id"], dir: "ASC" }
+};
+
+// параметры строки запроса списка; каждый передаётся одной строкой — повторённый приходит массивом
+const SESSION_LIST_PARAMS = ["date", "from", "to", "hall_id", "movie_id", "upcoming", "free", "sort", "limit", "cursor"];
+
+// курсор — значения ключей сортировки последней строки страницы
+function encodeSessionCursor(sort, row) {
+  return Buffer.from(JSON.stringify(SESSION_SORTS[sort].keys.map(k => row[k]))).toString("base64url");
+}
+
+function decodeSessionCursor(sort, cursor) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    const keys = SESSION_SORTS[sort].keys;
+    if (!Array.isArray(values) || values.length !== keys.length) return null;
+    if (values.some(v => typeof v !== "string" && typeof v !== "number")) return null;
+    return values;
+  } catch {
+    return null;
+  }
+}
+
+// date — один рабочий день, from/to — период рабочих дней включительно
+function ensureSessionListQuery(query) {
+  for (const name of SESSION_LIST_PARAMS) {
+    if (query[name] !== undefined && typeof query[name] !== "string") return { ok: false, msg: `Параметр ${name} должен быть указан один раз` };
+  }
+  const { date, hall_id, movie_id, cursor } = query;
+  const from = date ?? query.from;
+  const to = date ?? query.to;
+  for (const [name, value] of [["date", date], ["from", query.from], ["to", query.to]]) {
+    if (value !== undefined && parseDateOnly(value) === null) return { ok: false, msg: `${name} должен быть датой ГГГГ-ММ-ДД` };
+  }
+  if (from && to && from > to) return { ok: false, msg: "from не может быть позже to" };
+
+  const sort = query.sort ?? "start_at";
+  if (!SESSION_SORTS[sort]) return { ok: false, msg: `sort должен быть одним из: ${Object.keys(SESSION_SORTS).join(", ")}` };
+
+  const limit = query.limit === undefined ? SESSION_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SESSION_PAGE_SIZE) {
+    return { ok: false, msg: `limit должен быть целым числом от 1 до ${MAX_SESSION_PAGE_SIZE}` };
+  }
+
+  const after = cursor === undefined ? null : decodeSessionCursor(sort, cursor);
+  if (cursor !== undefined && !after) return { ok: false, msg: "cursor повреждён или получен для другой сортировки" };
+
+  // фильтры по колонкам sessions — во внутреннем запросе, там их подхватывают индексы;
+  // свободные места и курсор — во внешнем, по уже посчитанным агрегатам
+  const inner = [];
+  const outer = [];
+  const params = { limit: limit + 1 };
+  const startHour = setting("business_day_start_hour");
+  if (from) { inner.push("s.start_at >= @from"); params.from = businessDayBounds(from, from, startHour).fromIso; }
+  if (to) { inner.push("s.start_at < @to"); params.to = businessDayBounds(to, to, startHour).toIso; }
+  if (hall_id) { inner.push("s.hall_id = @hall_id"); params.hall_id = hall_id; }
+  if (movie_id) { inner.push("s.movie_id = @movie_id"); params.movie_id = movie_id; }
+  if (query.upcoming === "1") { inner.push("s.start_at > @now"); params.now = new Date().toISOString(); }
+  if (query.free === "1") outer.push("status <> 'cancelled' AND hall_capacity - booked_tickets > 0");
+
+  const { keys, dir } = SESSION_SORTS[sort];
+  if (after) {
+    const names = keys.map((_, i) => `@c${i}`);
+    keys.forEach((_, i) => { params[`c${i}`] = after[i]; });
+    outer.push(`(${keys.join(", ")}) ${dir === "ASC" ? ">" : "<"} (${names.join(", ")})`);
+    if (keys[0] === "start_at") inner.push(`s.start_at ${dir === "ASC" ? ">=" : "<="} @c0`);
+  }
+
+  return {
+    ok: true, sort, limit, params, startHour,
+    innerWhere: inner.length ? `WHERE ${inner.join(" AND ")}` : "",
+    outerWhere: outer.length ? `WHERE ${outer.join(" AND ")}` : "",
+    orderBy: keys.map(k => `${k} ${dir}`).join(", ")
+  };
+}
 
-// CRUD сеансов
 app.get("/api/sessions", (req, res) => {
-  const rows = db.prepare(`
-    SELECT
-      s.id, s.movie, s.start_at, s.duration_min, s.hall_id,
-      h.name AS hall_name, h.capacity AS hall_capacity,
-      COALESCE(SUM(b.tickets), 0) AS booked_tickets
-    FROM sessions s
-    JOIN halls h ON h.id = s.hall_id
-    LEFT JOIN bookings b ON b.session_id = s.id
-    GROUP BY s.id
-    ORDER BY s.start_at
-  `).all();
+  const q = ensureSessionListQuery(req.query);
+  if (!q.ok) return badRequest(res, q.msg);
 
-  res.json(rows);
+  const rows = db.prepare(`
+    SELECT * FROM (
+      SELECT
+        s.id, s.movie_id, m.title AS movie, m.age_rating, s.start_at, s.duration_min, s.hall_id, s.base_price, s.version,
+        s.status, h.name AS hall_name, h.capacity AS hall_capacity,
+        COALESCE(SUM(b.tickets), 0) AS booked_tickets,
+        COALESCE(SUM(CASE WHEN b.status = 'hold' THEN b.tickets ELSE 0 END), 0) AS held_tickets,
+        COALESCE(SUM(CASE WHEN b.status = 'confirmed' THEN b.total_price ELSE 0 END), 0) AS revenue,
+        (SELECT COUNT(*) FROM booking_seats bs WHERE bs.session_id = s.id AND bs.checked_in_at IS NOT NULL) AS checked_in_tickets,
+        COALESCE(ROUND(100.0 * SUM(b.tickets) / NULLIF(h.capacity, 0), 1), 0) AS occupancy
+      FROM sessions s
+      JOIN movies m ON m.id = s.movie_id
+      JOIN halls h ON h.id = s.hall_id
+      LEFT JOIN bookings b ON b.session_id = s.id AND b.status <> 'cancelled'
+      ${q.innerWhere}
+      GROUP BY s.id
+    )
+    ${q.outerWhere}
+    ORDER BY ${q.orderBy}
+    LIMIT @limit
+  `).all(q.params);
+
+  const page = rows.slice(0, q.limit);
+  const closeMinutes = new Map();
+  const closeOf = (hallId) => {
+    if (!closeMinutes.has(hallId)) closeMinutes.set(hallId, setting("sales_close_minutes", hallId));
+    return closeMinutes.get(hallId);
+  };
+  res.json({
+    sessions: page.map(r => ({
+      ...r,
+      status: sessionStatus(r, closeOf(r.hall_id)),
+      business_date: businessDateOf(r.start_at, q.startHour)
+    })),
+    next_cursor: rows.length > q.limit ? encodeSessionCursor(q.sort, page[page.length - 1]) : null
+  });
 });
 
 app.get("/api/sessions/:id", (req, res) => {
@@ -195,22 +2173,28 @@ app.get("/api/sessions/:id", (req, res) => {
 
   if (!row) return res.status(404).json({ error: "Сеанс не найден" });
 
-  const bookings = db.prepare(`
-    SELECT id, session_id, customer_name, tickets
-    FROM bookings
-    WHERE session_id = ?
-    ORDER BY customer_name
-  `).all(id);
-
-  res.json({ ...row, bookings });
+  setVersionTag(res, row.version);
+  const status = sessionStatus(row);
+  res.json({
+    ...row,
+    status,
+    transitions: SESSION_TRANSITIONS[status],
+    sales_closes_at: new Date(parseISOToMs(row.start_at) - setting("sales_close_minutes", row.hall_id) * 60_000).toISOString(),
+    business_date: businessDateOf(row.start_at),
+    pricing: getSessionPricing(row),
+    settings: effectiveSettings(row.hall_id),
+    bookings: listSessionBookings(id, seesContacts(req)),
+    waitlist: listWaitlist(id, seesContacts(req))
+  });
 });
 
-app.post("/api/sessions", (req, res) => {
+app.post("/api/sessions", requireRole("admin"), atomic((req, res) => {
   const payloadCheck = ensureSessionPayload(req.body);
   if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
 
-  const { movie, start_at, duration_min, hall_id } = req.body;
+  const { movie_id, start_at, duration_min, hall_id } = req.body;
 
+  if (!movieExists(movie_id)) return badRequest(res, "Указанный фильм (movie_id) не существует");
   if (!hallExists(hall_id)) return badRequest(res, "Указанный зал (hall_id) не существует");
 
   const overlap = checkSessionOverlap({ hall_id, start_at, duration_min });
@@ -218,25 +2202,39 @@ app.post("/api/sessions", (req, res) => {
     return badRequest(res, "Сеанс пересекается по времени с другим сеансом в том же зале", overlap.conflict);
   }
 
-  const id = uuidv4();
-
-  db.prepare(`
-    INSERT INTO sessions (id, movie, start_at, duration_min, hall_id)
-    VALUES (?, ?, ?, ?, ?)
-  `).run(id, movie.trim(), new Date(start_at).toISOString(), Number(duration_min), hall_id);
+  const id = db.transaction(() => {
+    const newId = insertSession(req.body);
+    audit(req, { action: "session.create", entityId: newId, after: snapshot("session", newId) });
+    return newId;
+  })();
 
   res.status(201).json({ id });
-});
+}));
 
-app.put("/api/sessions/:id", (req, res) => {
+app.put("/api/sessions/:id", requireRole("admin"), atomic((req, res) => {
   const id = req.params.id;
-  if (!sessionExists(id)) return res.status(404).json({ error: "Сеанс не найден" });
+  const current = stmt.getSession.get(id);
+  if (!current) return res.status(404).json({ error: "Сеанс не найден" });
+
+  const versionCheck = checkVersion(req, current.version);
+  if (!versionCheck.ok) return versionConflict(res, versionCheck, "Сеанс изменён другим пользователем — обновите данные");
+
+  // идущий, завершённый и отменённый сеанс не редактируется; после закрытия продаж — только с явным подтверждением,
+  // ведь перенос на более позднее время снова откроет продажи
+  const status = sessionStatus(current);
+  if (SESSION_LOCKED[status]) return badRequest(res, SESSION_LOCKED[status], { status });
+  const { allow_sales_closed } = req.body || {};
+  if (allow_sales_closed !== undefined && typeof allow_sales_closed !== "boolean") return badRequest(res, "allow_sales_closed должен быть true/false");
+  if (status === "sales_closed" && !allow_sales_closed) {
+    return badRequest(res, "Продажи на сеанс уже закрыты — подтвердите изменение (allow_sales_closed)", { status });
+  }
 
   const payloadCheck = ensureSessionPayload(req.body);
   if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
 
-  const { movie, start_at, duration_min, hall_id } = req.body;
+  const { movie_id, start_at, duration_min, hall_id } = req.body;
 
+  if (!movieExists(movie_id)) return badRequest(res, "Указанный фильм (movie_id) не существует");
   if (!hallExists(hall_id)) return badRequest(res, "Указанный зал (hall_id) не существует");
 
   const overlap = checkSessionOverlap({ hall_id, start_at, duration_min, excludeSessionId: id });
@@ -244,12 +2242,12 @@ app.put("/api/sessions/:id", (req, res) => {
     return badRequest(res, "Сеанс пересекается по времени с другим сеансом в этом же зале (с учетом техпаузы)", overlap.conflict);
   }
 
-  const currentSession = stmt.getSession.get(id);
   const booked = getTotalTicketsInSession(id);
   
-  if (currentSession.hall_id !== hall_id) {
-    const newCapacity = stmt.getHall.get(hall_id)?.capacity;
-    if (newCapacity === undefined) return badRequest(res, "Не удалось определить вместимость нового зала");
+  if (current.hall_id !== hall_id) {
+    const newHall = stmt.getHall.get(hall_id);
+    if (!newHall) return badRequest(res, "Не удалось определить вместимость нового зала");
+    const newCapacity = newHall.capacity;
     
     if (booked > newCapacity) {
       return badRequest(res, "Нельзя сменить зал: текущие брони превышают вместимость нового зала", {
@@ -257,59 +2255,178 @@ app.put("/api/sessions/:id", (req, res) => {
         newCapacity
       });
     }
+
+    // проданные места должны существовать в раскладке нового зала
+    const outside = db.prepare(`
+      SELECT seat_row AS row, seat_no AS seat
+      FROM booking_seats
+      WHERE session_id = ? AND (seat_row > ? OR seat_no > ?)
+      ORDER BY seat_row, seat_no
+    `).all(id, newHall.rows_count, newHall.seats_per_row);
+    if (outside.length) {
+      return badRequest(res, "Нельзя сменить зал: в новом зале нет части проданных мест", {
+        rows: newHall.rows_count,
+        seatsPerRow: newHall.seats_per_row,
+        seats: outside
+      });
+    }
   }
 
-  db.prepare(`
-    UPDATE sessions
-    SET movie = ?, start_at = ?, duration_min = ?, hall_id = ?
-    WHERE id = ?
-  `).run(movie.trim(), new Date(start_at).toISOString(), Number(duration_min), hall_id, id);
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE sessions
+      SET movie_id = ?, start_at = ?, duration_min = ?, hall_id = ?, base_price = ?, version = version + 1
+      WHERE id = ?
+    `).run(
+      movie_id, new Date(parseISOToMs(start_at)).toISOString(), Number(duration_min), hall_id,
+      Number(req.body.base_price ?? current.base_price), id
+    );
+    audit(req, { action: "session.update", entityId: id, before: current, after: snapshot("session", id) });
+  })();
+
+  const promoted = promoteWaitlist(id, req);
+  const version = stmt.getSession.get(id).version;
+  setVersionTag(res, version);
+  res.json({ ok: true, version, promoted });
+}));
+
+app.delete("/api/sessions/:id", requireRole("admin"), atomic((req, res) => {
+  const id = req.params.id;
+  const before = snapshot("session", id);
+  if (!before) return res.status(404).json({ error: "Сеанс не найден" });
+
+  const versionCheck = checkVersion(req, before.version);
+  if (!versionCheck.ok) return versionConflict(res, versionCheck, "Сеанс изменён другим пользователем — обновите данные");
+
+  // удалить можно только сеанс без броней (например, созданный по ошибке);
+  // с бронями сеанс отменяют — брони остаются для возвратов и отчётов
+  const bookings = listSessionBookings(id).length;
+  if (bookings) {
+    return badRequest(res, "У сеанса есть брони — отмените сеанс вместо удаления", { bookings });
+  }
 
+  db.transaction(() => {
+    audit(req, { action: "session.delete", entityId: id, before });
+    db.prepare(`DELETE FROM sessions WHERE id = ?`).run(id);
+  })();
   res.json({ ok: true });
-});
+}));
 
-app.delete("/api/sessions/:id", (req, res) => {
+// Смена статуса вручную: открыть или приостановить продажи, отменить сеанс.
+// При отмене подтверждённые брони становятся cancelled, очередь ожидания закрывается
+app.post("/api/sessions/:id/status", requireRole("admin"), atomic((req, res) => {
   const id = req.params.id;
-  const info = db.prepare(`DELETE FROM sessions WHERE id = ?`).run(id);
-  if (info.changes === 0) return res.status(404).json({ error: "Сеанс не найден" });
-  res.json({ ok: true });
-});
+  const current = stmt.getSession.get(id);
+  if (!current) return res.status(404).json({ error: "Сеанс не найден" });
+
+  const versionCheck = checkVersion(req, current.version);
+  if (!versionCheck.ok) return versionConflict(res, versionCheck, "Сеанс изменён другим пользователем — обновите данные");
+
+  const { status, reason } = req.body || {};
+  if (!SESSION_STATUSES.includes(status)) return badRequest(res, `status должен быть одним из: ${SESSION_STATUSES.join(", ")}`);
+  if (reason !== undefined && reason !== null && typeof reason !== "string") return badRequest(res, "reason должен быть строкой");
+
+  const from = sessionStatus(current);
+  if (!SESSION_TRANSITIONS[from].includes(status)) {
+    return badRequest(res, `Нельзя перевести сеанс из статуса ${from} в ${status}`, { from, to: status, allowed: SESSION_TRANSITIONS[from] });
+  }
+
+  const cancelled = db.transaction(() => {
+    const before = snapshot("session", id);
+    const cancelling = status === "cancelled";
+    db.prepare(`
+      UPDATE sessions SET status = ?, cancelled_at = ?, cancel_reason = ?, version = version + 1 WHERE id = ?
+    `).run(status, cancelling ? new Date().toISOString() : null, cancelling ? (reason || "").trim() || null : null, id);
+
+    // временные брони не оплачены — они снимаются, как при истечении срока
+    const holds = cancelling ? db.prepare(`SELECT id FROM bookings WHERE session_id = ? AND status = 'hold'`).all(id) : [];
+    for (const hold of holds) {
+      const holdBefore = snapshot("booking", hold.id);
+      db.prepare(`DELETE FROM bookings WHERE id = ?`).run(hold.id);
+      audit(req, { action: "booking.delete", entityId: hold.id, before: holdBefore, details: { reason: "session.cancel" } });
+    }
+
+    const bookings = cancelling ? db.prepare(`SELECT id FROM bookings WHERE session_id = ? AND status = 'confirmed'`).all(id) : [];
+    for (const booking of bookings) {
+      const bookingBefore = snapshot("booking", booking.id);
+      db.prepare(`
+        UPDATE bookings SET status = 'cancelled', version = version + 1 WHERE id = ?
+      `).run(booking.id);
+      audit(req, {
+        action: "booking.cancel",
+        entityId: booking.id,
+        before: bookingBefore,
+        after: snapshot("booking", booking.id),
+        details: { reason: "session.cancel" }
+      });
+    }
+    if (cancelling) cancelWaitlist(req, id);
+
+    audit(req, {
+      action: "session.status",
+      entityId: id,
+      before,
+      after: snapshot("session", id),
+      details: { from, to: status, reason: reason || null, bookings: bookings.length, holds: holds.length }
+    });
+    return bookings.length;
+  })();
+
+  // вернули в продажу — очередь ожидания могла дождаться мест
+  const promoted = status === "on_sale" ? promoteWaitlist(id, req) : [];
+  const version = current.version + 1;
+  setVersionTag(res, version);
+  res.json({ ok: true, status: sessionStatus(stmt.getSession.get(id)), version, cancelled_bookings: cancelled, promoted });
+}));
 
 // Bookings CRUD (внутри сеанса)
 app.get("/api/sessions/:id/bookings", (req, res) => {
   const sessionId = req.params.id;
   if (!sessionExists(sessionId)) return res.status(404).json({ error: "Сеанс не найден" });
 
-  const bookings = db.prepare(`
-    SELECT id, session_id, customer_name, tickets
-    FROM bookings
-    WHERE session_id = ?
-    ORDER BY customer_name
-  `).all(sessionId);
-
-  res.json(bookings);
+  res.json(listSessionBookings(sessionId, seesContacts(req)));
 });
 
-app.post("/api/sessions/:id/bookings", (req, res) => {
+app.post("/api/sessions/:id/bookings", requireRole("cashier"), atomic((req, res) => {
   const sessionId = req.params.id;
-  if (!sessionExists(sessionId)) return res.status(404).json({ error: "Сеанс не найден" });
+  const session = stmt.getSession.get(sessionId);
+  if (!session) return res.status(404).json({ error: "Сеанс не найден" });
+  const blocked = salesBlockedReason(session);
+  if (blocked) return badRequest(res, blocked, { status: sessionStatus(session) });
+
+  const hall = getHallBySession(sessionId);
+  if (!hall) return badRequest(res, "Не удалось определить вместимость зала");
+  const capacity = hall.capacity;
+  const limit = setting("max_tickets_per_person", hall.id);
 
-  const payloadCheck = ensureBookingPayload(req.body);
+  const payloadCheck = ensureBookingPayload(req.body, limit);
   if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
 
-  const customer_name = req.body.customer_name.trim();
-  const addTickets = Number(req.body.tickets);
+  const seatsCheck = ensureSeatsPayload(req.body.seats, hall);
+  if (!seatsCheck.ok) return badRequest(res, seatsCheck.msg);
+
+  const seats = seatsCheck.seats;
+  const addTickets = seats.length;
+
+  const taken = findTakenSeats(sessionId, seats);
+  if (taken.length) {
+    return badRequest(res, "Нельзя добавить: места уже заняты", { seats: taken });
+  }
 
-  const capacity = getHallCapacityBySession(sessionId);
-  if (capacity == null) return badRequest(res, "Не удалось определить вместимость зала");
+  const match = findCustomer(req.body);
+  if (!match.ok) return badRequest(res, match.msg, match.details);
 
-  const existing = findBookingByName(sessionId, customer_name);
+  const status = req.body.hold ? "hold" : "confirmed";
+  const existing = findBookingByCustomer(sessionId, match.customer?.id);
 
   if (existing) {
+    const mismatch = statusMismatch(existing, status);
+    if (mismatch) return badRequest(res, mismatch, { bookingId: existing.id, status: existing.status });
+
     const newTotalForPerson = existing.tickets + addTickets;
-    if (newTotalForPerson > MAX_TICKETS_PER_PERSON) {
+    if (newTotalForPerson > limit) {
       return badRequest(res, "Нельзя добавить: превышен лимит билетов в одни руки для этого человека", {
-        limit: MAX_TICKETS_PER_PERSON,
+        limit,
         current: existing.tickets,
         requestedAdd: addTickets
       });
@@ -324,14 +2441,36 @@ app.post("/api/sessions/:id/bookings", (req, res) => {
       });
     }
 
-    db.prepare(`UPDATE bookings SET tickets = ? WHERE id = ?`).run(newTotalForPerson, existing.id);
-    return res.status(200).json({ mergedInto: existing.id, tickets: newTotalForPerson });
+    const mergedSeats = mergeSeats(existing.seats, seats);
+    const tx = db.transaction(() => {
+      saveCustomer(req, match);
+      const before = snapshot("booking", existing.id);
+      const result = writeBookingSeats(existing.id, sessionId, mergedSeats);
+      audit(req, {
+        action: "booking.merge",
+        entityId: existing.id,
+        before,
+        after: snapshot("booking", existing.id),
+        details: { addedSeats: seats }
+      });
+      return result;
+    });
+    const written = tx();
+    return res.status(200).json({
+      mergedInto: existing.id,
+      customer_id: existing.customer_id,
+      status: existing.status,
+      hold_expires_at: existing.hold_expires_at,
+      tickets: newTotalForPerson,
+      seats: written.seats,
+      total_price: written.total
+    });
   }
 
   // new booking
-  if (addTickets > MAX_TICKETS_PER_PERSON) {
+  if (addTickets > limit) {
     return badRequest(res, "Нельзя добавить: превышен лимит билетов в одни руки", {
-      limit: MAX_TICKETS_PER_PERSON,
+      limit,
       requested: addTickets
     });
   }
@@ -346,43 +2485,79 @@ app.post("/api/sessions/:id/bookings", (req, res) => {
   }
 
   const id = uuidv4();
-  db.prepare(`
-    INSERT INTO bookings (id, session_id, customer_name, tickets)
-    VALUES (?, ?, ?, ?)
-  `).run(id, sessionId, customer_name, addTickets);
+  const holdUntil = status === "hold" ? holdExpiresAt(req.body) : null;
+  const tx = db.transaction(() => {
+    const customer = saveCustomer(req, match);
+    // версия 0: writeBookingSeats сразу поднимет её до 1
+    db.prepare(`
+      INSERT INTO bookings (id, session_id, customer_name, customer_id, tickets, status, hold_expires_at, version)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0)
+    `).run(id, sessionId, customer.name, customer.id, addTickets, status, holdUntil);
+    const result = writeBookingSeats(id, sessionId, seats);
+    audit(req, { action: "booking.create", entityId: id, after: snapshot("booking", id) });
+    return { ...result, customer };
+  });
+  const written = tx();
 
-  res.status(201).json({ id });
-});
+  setVersionTag(res, 1);
+  res.status(201).json({ id, version: 1, customer_id: written.customer.id, status, hold_expires_at: holdUntil, seats: written.seats, total_price: written.total });
+}));
 
-app.put("/api/sessions/:sid/bookings/:bid", (req, res) => {
+app.put("/api/sessions/:sid/bookings/:bid", requireRole("cashier"), atomic((req, res) => {
   const { sid: sessionId, bid: bookingId } = req.params;
-  if (!sessionExists(sessionId)) return res.status(404).json({ error: "Сеанс не найден" });
+  const session = stmt.getSession.get(sessionId);
+  if (!session) return res.status(404).json({ error: "Сеанс не найден" });
 
   const booking = stmt.getBooking.get(bookingId);
   if (!booking || booking.session_id !== sessionId) {
     return res.status(404).json({ error: "Бронь не найдена" });
   }
 
-  const payloadCheck = ensureBookingPayload(req.body);
+  const versionCheck = checkVersion(req, booking.version);
+  if (!versionCheck.ok) return versionConflict(res, versionCheck, "Бронь изменена другим кассиром — обновите данные");
+
+  // после закрытия продаж места и состав брони не меняются
+  const blocked = salesBlockedReason(session);
+  if (blocked) return badRequest(res, blocked, { status: sessionStatus(session) });
+
+  const hall = getHallBySession(sessionId);
+  const capacity = hall.capacity;
+  const limit = setting("max_tickets_per_person", hall.id);
+
+  const payloadCheck = ensureBookingPayload(req.body, limit);
   if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
 
-  const customer_name = req.body.customer_name.trim();
-  const newTickets = Number(req.body.tickets);
+  const seatsCheck = ensureSeatsPayload(req.body.seats, hall);
+  if (!seatsCheck.ok) return badRequest(res, seatsCheck.msg);
+
+  const seats = seatsCheck.seats;
+  const newTickets = seats.length;
+
+  const match = findCustomer(req.body);
+  if (!match.ok) return badRequest(res, match.msg, match.details);
 
-  const capacity = getHallCapacityBySession(sessionId);
   const excludeSelfTotal = getTotalTicketsInSession(sessionId, [bookingId]);
 
-  const other = findBookingByName(sessionId, customer_name);
+  const other = findBookingByCustomer(sessionId, match.customer?.id);
   if (other && other.id !== bookingId) {
-    const mergedTickets = other.tickets + newTickets;
-    if (mergedTickets > MAX_TICKETS_PER_PERSON) {
+    const mismatch = statusMismatch(other, booking.status);
+    if (mismatch) return badRequest(res, mismatch, { bookingId: other.id, status: other.status });
+
+    const mergedSeats = mergeSeats(other.seats, seats);
+    const mergedTickets = mergedSeats.length;
+    if (mergedTickets > limit) {
       return badRequest(res, "Нельзя сохранить: превышен лимит билетов", {
-        limit: MAX_TICKETS_PER_PERSON,
+        limit,
         otherTickets: other.tickets,
         thisNewTickets: newTickets
       });
     }
 
+    const taken = findTakenSeats(sessionId, seats, [bookingId, other.id]);
+    if (taken.length) {
+      return badRequest(res, "Нельзя сохранить: места уже заняты", { seats: taken });
+    }
+
     const totalExcludingBoth = getTotalTicketsInSession(sessionId, [bookingId, other.id]);
     if (totalExcludingBoth + mergedTickets > capacity) {
       return badRequest(res, "Нельзя сохранить: не хватает мест в зале", {
@@ -393,21 +2568,46 @@ app.put("/api/sessions/:sid/bookings/:bid", (req, res) => {
     }
 
     const tx = db.transaction(() => {
-      db.prepare(`UPDATE bookings SET tickets = ? WHERE id = ?`).run(mergedTickets, other.id);
+      saveCustomer(req, match);
+      const deleted = snapshot("booking", bookingId);
+      const before = snapshot("booking", other.id);
       db.prepare(`DELETE FROM bookings WHERE id = ?`).run(bookingId);
+      const result = writeBookingSeats(other.id, sessionId, mergedSeats);
+      audit(req, { action: "booking.delete", entityId: bookingId, before: deleted, details: { mergedInto: other.id } });
+      audit(req, {
+        action: "booking.merge",
+        entityId: other.id,
+        before,
+        after: snapshot("booking", other.id),
+        details: { mergedFrom: bookingId }
+      });
+      return result;
+    });
+    const written = tx();
+    const promoted = promoteWaitlist(sessionId, req);
+
+    return res.json({
+      mergedInto: other.id,
+      tickets: mergedTickets,
+      seats: written.seats,
+      total_price: written.total,
+      deleted: bookingId,
+      promoted
     });
-    tx();
-
-    return res.json({ mergedInto: other.id, tickets: mergedTickets, deleted: bookingId });
   }
 
-  if (newTickets > MAX_TICKETS_PER_PERSON) {
+  if (newTickets > limit) {
     return badRequest(res, "Нельзя сохранить: превышен лимит билетов", {
-      limit: MAX_TICKETS_PER_PERSON,
+      limit,
       requested: newTickets
     });
   }
 
+  const taken = findTakenSeats(sessionId, seats, [bookingId]);
+  if (taken.length) {
+    return badRequest(res, "Нельзя сохранить: места уже заняты", { seats: taken });
+  }
+
   if (excludeSelfTotal + newTickets > capacity) {
     return badRequest(res, "Нельзя сохранить: не хватает мест в зале", {
       capacity,
@@ -416,86 +2616,860 @@ app.put("/api/sessions/:sid/bookings/:bid", (req, res) => {
     });
   }
 
-  db.prepare(`UPDATE bookings SET customer_name = ?, tickets = ? WHERE id = ?`)
-    .run(customer_name, newTickets, bookingId);
+  const tx = db.transaction(() => {
+    const before = snapshot("booking", bookingId);
+    const customer = saveCustomer(req, match);
+    db.prepare(`UPDATE bookings SET customer_name = ?, customer_id = ? WHERE id = ?`).run(customer.name, customer.id, bookingId);
+    const result = writeBookingSeats(bookingId, sessionId, seats);
+    audit(req, { action: "booking.update", entityId: bookingId, before, after: snapshot("booking", bookingId) });
+    return result;
+  });
+  const written = tx();
 
-  res.json({ ok: true });
-});
+  const promoted = promoteWaitlist(sessionId, req);
+  const version = stmt.getBooking.get(bookingId).version;
+  setVersionTag(res, version);
+  res.json({ ok: true, version, seats: written.seats, total_price: written.total, promoted });
+}));
 
-app.delete("/api/sessions/:sid/bookings/:bid", (req, res) => {
+app.delete("/api/sessions/:sid/bookings/:bid", requireRole("cashier"), atomic((req, res) => {
   const { sid: sessionId, bid: bookingId } = req.params;
-  const info = db.prepare(`DELETE FROM bookings WHERE id = ? AND session_id = ?`).run(bookingId, sessionId);
-  if (info.changes === 0) return res.status(404).json({ error: "Бронь не найдена" });
+  const before = snapshot("booking", bookingId);
+  if (!before || before.session_id !== sessionId) return res.status(404).json({ error: "Бронь не найдена" });
+
+  const versionCheck = checkVersion(req, before.version);
+  if (!versionCheck.ok) return versionConflict(res, versionCheck, "Бронь изменена другим кассиром — обновите данные");
+  if (before.status === "cancelled") return badRequest(res, "Бронь отменённого сеанса хранится для возврата и не удаляется");
+
+  db.transaction(() => {
+    db.prepare(`DELETE FROM bookings WHERE id = ?`).run(bookingId);
+    audit(req, { action: "booking.delete", entityId: bookingId, before });
+  })();
+  const promoted = promoteWaitlist(sessionId, req);
+  res.json({ ok: true, promoted });
+}));
+
+// Лист ожидания сеанса
+app.get("/api/sessions/:id/waitlist", (req, res) => {
+  const sessionId = req.params.id;
+  if (!sessionExists(sessionId)) return res.status(404).json({ error: "Сеанс не найден" });
+  res.json(listWaitlist(sessionId, seesContacts(req)));
+});
+
+app.post("/api/sessions/:id/waitlist", requireRole("cashier"), atomic((req, res) => {
+  const sessionId = req.params.id;
+  const session = stmt.getSession.get(sessionId);
+  if (!session) return res.status(404).json({ error: "Сеанс не найден" });
+  const blocked = salesBlockedReason(session);
+  if (blocked) return badRequest(res, blocked, { status: sessionStatus(session) });
+
+  const limit = setting("max_tickets_per_person", session.hall_id);
+  const payloadCheck = ensureWaitlistPayload(req.body, limit);
+  if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
+
+  const tickets = Number(req.body.tickets);
+
+  const match = findCustomer({ customer_name: req.body.customer_name, ...contactFields(req.body.contact) });
+  if (!match.ok) return badRequest(res, match.msg, match.details);
+
+  const existing = findBookingByCustomer(sessionId, match.customer?.id);
+  if (existing && existing.tickets + tickets > limit) {
+    return badRequest(res, "Нельзя встать в очередь: превышен лимит билетов в одни руки для этого человека", {
+      limit,
+      current: existing.tickets,
+      requested: tickets
+    });
+  }
+  const waiting = match.customer && db.prepare(`
+    SELECT 1 FROM waitlist WHERE session_id = ? AND customer_id = ? AND status = 'waiting'
+  `).get(sessionId, match.customer.id);
+  if (waiting) return badRequest(res, "Этот покупатель уже стоит в очереди на сеанс");
+
+  const hall = getHallBySession(sessionId);
+  const free = hall.capacity - getTotalTicketsInSession(sessionId);
+  if (free >= tickets) return badRequest(res, "В зале есть свободные места — оформите бронь", { free });
+
+  const id = uuidv4();
+  db.transaction(() => {
+    const customer = saveCustomer(req, match);
+    db.prepare(`
+      INSERT INTO waitlist (id, session_id, customer_name, customer_id, contact, tickets, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, sessionId, customer.name, customer.id, (req.body.contact || "").trim(), tickets, new Date().toISOString());
+    audit(req, { action: "waitlist.create", entityId: id, after: snapshot("waitlist", id) });
+  })();
+
+  const position = db.prepare(`
+    SELECT COUNT(*) AS c FROM waitlist WHERE session_id = ? AND status = 'waiting'
+  `).get(sessionId).c;
+  res.status(201).json({ id, position });
+}));
+
+app.delete("/api/sessions/:sid/waitlist/:wid", requireRole("cashier"), atomic((req, res) => {
+  const { sid: sessionId, wid: entryId } = req.params;
+  const before = snapshot("waitlist", entryId);
+  if (!before || before.session_id !== sessionId) return res.status(404).json({ error: "Запись в очереди не найдена" });
+
+  db.transaction(() => {
+    db.prepare(`DELETE FROM waitlist WHERE id = ?`).run(entryId);
+    audit(req, { action: "waitlist.delete", entityId: entryId, before });
+  })();
   res.json({ ok: true });
+}));
+
+// Подтверждение временной брони
+app.post("/api/sessions/:sid/bookings/:bid/confirm", requireRole("cashier"), atomic((req, res) => {
+  const { sid: sessionId, bid: bookingId } = req.params;
+  const before = snapshot("booking", bookingId);
+  if (!before || before.session_id !== sessionId) {
+    return res.status(404).json({ error: "Бронь не найдена (возможно, срок временной брони истёк)" });
+  }
+  if (before.status === "cancelled") return badRequest(res, "Бронь отменена вместе с сеансом");
+  if (before.status !== "hold") return badRequest(res, "Бронь уже подтверждена");
+
+  const versionCheck = checkVersion(req, before.version);
+  if (!versionCheck.ok) return versionConflict(res, versionCheck, "Бронь изменена другим кассиром — обновите данные");
+
+  // подтверждение — та же продажа: после закрытия продаж временная бронь просто истекает
+  const session = stmt.getSession.get(sessionId);
+  const blocked = salesBlockedReason(session);
+  if (blocked) return badRequest(res, blocked, { status: sessionStatus(session) });
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE bookings SET status = 'confirmed', hold_expires_at = NULL, version = version + 1 WHERE id = ?
+    `).run(bookingId);
+    audit(req, { action: "booking.confirm", entityId: bookingId, before, after: snapshot("booking", bookingId) });
+  })();
+  const version = before.version + 1;
+  setVersionTag(res, version);
+  res.json({ ok: true, status: "confirmed", version });
+}));
+
+// Поиск броней по всем сеансам: по фрагменту ФИО или телефона, с фильтрами по датам и фильму
+// from/to — рабочие дни включительно, date — один рабочий день
+app.get("/api/bookings/search", requireRole("cashier"), (req, res) => {
+  const { movie_id } = req.query;
+  const from = req.query.date ?? req.query.from;
+  const to = req.query.date ?? req.query.to;
+  const q = normalizeCustomerName(req.query.q);
+  if (q.length < 2) return badRequest(res, "Введите не меньше 2 символов ФИО или телефона");
+  if (from !== undefined && from !== "" && parseDateOnly(from) === null) return badRequest(res, "from должен быть датой ГГГГ-ММ-ДД");
+  if (to !== undefined && to !== "" && parseDateOnly(to) === null) return badRequest(res, "to должен быть датой ГГГГ-ММ-ДД");
+
+  const digits = q.replace(/\D/g, "");
+  const where = [`(c.name_norm LIKE @like OR (@digits <> '' AND c.phone_norm LIKE @digitsLike))`];
+  const params = { like: `%${q}%`, digits: digits.length >= 3 ? digits : "", digitsLike: `%${digits}%`, limit: MAX_SEARCH_RESULTS };
+  if (from) {
+    where.push(`s.start_at >= @from`);
+    params.from = businessDayBounds(from).fromIso;
+  }
+  if (to) {
+    where.push(`s.start_at < @to`);
+    params.to = businessDayBounds(to).toIso;
+  }
+  if (movie_id) { where.push(`s.movie_id = @movie_id`); params.movie_id = movie_id; }
+
+  const rows = db.prepare(`
+    SELECT
+      b.id, b.session_id, b.customer_name, b.customer_id, c.phone AS customer_phone, c.email AS customer_email,
+      b.tickets, b.total_price, b.status, b.hold_expires_at,
+      s.start_at, s.duration_min, s.movie_id, m.title AS movie, s.hall_id, h.name AS hall_name
+    FROM bookings b
+    JOIN customers c ON c.id = b.customer_id
+    JOIN sessions s ON s.id = b.session_id
+    JOIN movies m ON m.id = s.movie_id
+    JOIN halls h ON h.id = s.hall_id
+    WHERE ${where.join(" AND ")}
+    ORDER BY s.start_at, b.customer_name
+    LIMIT @limit
+  `).all(params);
+
+  res.json(rows.map(r => ({ ...r, seats: getBookingSeats(r.id) })));
+});
+
+// Билеты для печати: по одному на место, QR с кодом билета рисуется здесь же, без внешних сервисов
+app.get("/api/bookings/:bid/tickets", requireRole("cashier"), async (req, res, next) => {
+  try {
+    const booking = stmt.getBooking.get(req.params.bid);
+    if (!booking) return res.status(404).json({ error: "Бронь не найдена" });
+    if (booking.status === "cancelled") return badRequest(res, "Бронь отменена вместе с сеансом — билеты недействительны");
+    if (booking.status !== "confirmed") return badRequest(res, "Временную бронь нельзя напечатать — сначала подтвердите её");
+
+    const session = stmt.getSessionWithHall.get(booking.session_id);
+    const tariffNames = new Map(db.prepare(`SELECT id, name FROM tariffs`).all().map(t => [t.id, t.name]));
+    const seats = getBookingSeats(booking.id);
+
+    const tickets = [];
+    for (const [i, seat] of seats.entries()) {
+      tickets.push({
+        number: i + 1,
+        code: seat.code,
+        row: seat.row,
+        seat: seat.seat,
+        tariff: tariffNames.get(seat.tariff) || seat.tariff,
+        price: seat.price,
+        qr_svg: await QRCode.toString(seat.code, { type: "svg", margin: 1, errorCorrectionLevel: "M" })
+      });
+    }
+
+    res.json({
+      booking: { id: booking.id, customer_name: booking.customer_name, tickets: booking.tickets, total_price: booking.total_price },
+      session: {
+        id: session.id,
+        movie: session.movie,
+        age_rating: session.age_rating,
+        start_at: session.start_at,
+        duration_min: session.duration_min,
+        hall_name: session.hall_name,
+        time_zone: CINEMA_TIME_ZONE
+      },
+      tickets
+    });
+  } catch (err) {
+    next(err);
+  }
 });
 
-app.post("/api/bookings/:bid/move", (req, res) => {
+// Проход в зал: контролёр выбирает сеанс и вводит (или сканирует) код билета
+function checkinCounts(sessionId) {
+  return db.prepare(`
+    SELECT COUNT(*) AS booked, COUNT(checked_in_at) AS checked_in
+    FROM booking_seats WHERE session_id = ?
+  `).get(sessionId);
+}
+
+app.post("/api/checkin", requireRole("usher"), atomic((req, res) => {
+  const code = normalizeTicketCode(req.body?.code);
+  const sessionId = req.body?.session_id;
+  if (!code) return badRequest(res, "Введите код билета");
+  if (typeof sessionId !== "string" || !sessionId) return badRequest(res, "session_id обязателен");
+
+  const session = stmt.getSessionWithHall.get(sessionId);
+  if (!session) return res.status(404).json({ error: "Сеанс не найден" });
+
+  const ticket = db.prepare(`
+    SELECT bs.rowid, bs.booking_id, bs.session_id, bs.seat_row AS row, bs.seat_no AS seat, bs.ticket_code AS code,
+      bs.checked_in_at, bs.checked_in_by, b.customer_name, b.status
+    FROM booking_seats bs
+    JOIN bookings b ON b.id = bs.booking_id
+    WHERE bs.ticket_code = ?
+  `).get(code);
+  if (!ticket) return res.status(404).json({ error: "Билет с таким кодом не найден" });
+
+  const info = { code: ticket.code, row: ticket.row, seat: ticket.seat, customer_name: ticket.customer_name };
+
+  if (ticket.session_id !== sessionId) {
+    const other = stmt.getSessionWithHall.get(ticket.session_id);
+    return badRequest(res, "Билет на другой сеанс", {
+      ...info,
+      session: { id: other.id, movie: other.movie, start_at: other.start_at, hall_name: other.hall_name }
+    });
+  }
+  if (ticket.status === "cancelled") return badRequest(res, "Сеанс отменён — билет не действителен", info);
+  if (ticket.status !== "confirmed") return badRequest(res, "Бронь не подтверждена — билет не действителен", info);
+
+  const start = new Date(session.start_at).getTime();
+  const now = Date.now();
+  if (now < start - CHECKIN_OPENS_MINUTES * 60000) {
+    return badRequest(res, `Вход открывается за ${CHECKIN_OPENS_MINUTES} мин до начала сеанса`, { ...info, start_at: session.start_at });
+  }
+  if (now > start + session.duration_min * 60000) return badRequest(res, "Сеанс уже закончился", info);
+
+  if (ticket.checked_in_at) {
+    return badRequest(res, "Билет уже использован", { ...info, checked_in_at: ticket.checked_in_at, checked_in_by: ticket.checked_in_by });
+  }
+
+  db.transaction(() => {
+    const before = snapshot("booking", ticket.booking_id);
+    db.prepare(`UPDATE booking_seats SET checked_in_at = ?, checked_in_by = ? WHERE rowid = ?`)
+      .run(new Date().toISOString(), actorOf(req), ticket.rowid);
+    audit(req, {
+      action: "booking.checkin",
+      entityId: ticket.booking_id,
+      before,
+      after: snapshot("booking", ticket.booking_id),
+      details: { code: ticket.code, row: ticket.row, seat: ticket.seat }
+    });
+  })();
+
+  res.json({ ok: true, ticket: info, ...checkinCounts(sessionId) });
+}));
+
+// переброска возможна только между разными сеансами одного фильма
+function ensureMoveTarget(fromSession, toSession) {
+  if (toSession.id === fromSession.id) return { ok: false, msg: "Бронь уже относится к этому сеансу" };
+  const blocked = salesBlockedReason(toSession);
+  if (blocked) return { ok: false, msg: `Нельзя перебросить на этот сеанс: ${blocked.toLowerCase()}`, details: { status: sessionStatus(toSession) } };
+  if (fromSession.movie_id !== toSession.movie_id) {
+    return {
+      ok: false,
+      msg: "Целевой сеанс должен быть с тем же фильмом",
+      details: {
+        fromMovie: stmt.getMovie.get(fromSession.movie_id)?.title,
+        toMovie: stmt.getMovie.get(toSession.movie_id)?.title
+      }
+    };
+  }
+  return { ok: true };
+}
+
+// Проверяет переброску брони в сеанс и подбирает места: вместимость зала, лимит в одни руки и
+// объединение с бронью того же покупателя. reserved — места и билеты целевого сеанса, уже
+// обещанные другим броням при массовой переброске, но ещё не записанные
+function planBookingMove(booking, toSessionId, { seats: requestedSeats, reserved = { seats: new Set(), tickets: 0 } } = {}) {
+  const hall = getHallBySession(toSessionId);
+  if (!hall) return { ok: false, msg: "Не удалось определить вместимость зала целевого сеанса" };
+  const capacity = hall.capacity;
+  const limit = setting("max_tickets_per_person", hall.id);
+
+  // места в целевом сеансе: явно переданные или подобранные автоматически
+  const sourceSeats = getBookingSeats(booking.id);
+  let seats;
+  if (requestedSeats !== undefined) {
+    const seatsCheck = ensureSeatsPayload(requestedSeats, hall);
+    if (!seatsCheck.ok) return seatsCheck;
+    if (seatsCheck.seats.length !== booking.tickets) {
+      return {
+        ok: false,
+        msg: "Число мест должно совпадать с числом билетов в брони",
+        details: { tickets: booking.tickets, seats: seatsCheck.seats.length }
+      };
+    }
+    const taken = findTakenSeats(toSessionId, seatsCheck.seats);
+    if (taken.length) return { ok: false, msg: "Места в целевом сеансе уже заняты", details: { seats: taken } };
+    seats = seatsCheck.seats;
+  }
+
+  const existing = findBookingByCustomer(toSessionId, booking.customer_id);
+
+  if (existing) {
+    const mismatch = statusMismatch(existing, booking.status);
+    if (mismatch) return { ok: false, msg: mismatch, details: { bookingId: existing.id, status: existing.status } };
+
+    const mergedTickets = existing.tickets + booking.tickets;
+    if (mergedTickets > limit) {
+      return {
+        ok: false,
+        msg: "Превышен лимит билетов в одни руки",
+        details: { limit, existing: existing.tickets, moving: booking.tickets }
+      };
+    }
+
+    const totalExcludingExisting = getTotalTicketsInSession(toSessionId, [existing.id]) + reserved.tickets;
+    if (totalExcludingExisting + mergedTickets > capacity) {
+      return {
+        ok: false,
+        msg: "Не хватает мест в целевом зале",
+        details: { capacity, bookedExcludingExisting: totalExcludingExisting, mergedTickets }
+      };
+    }
+
+    seats = seats || pickFreeSeats(toSessionId, hall, booking.tickets, sourceSeats, reserved.seats);
+    if (!seats) return { ok: false, msg: "Не удалось подобрать свободные места в целевом зале" };
+
+    return {
+      ok: true,
+      toSessionId,
+      mergedInto: existing,
+      seats,
+      tickets: mergedTickets,
+      write: mergeSeats(existing.seats, carryTariffs(seats, sourceSeats))
+    };
+  }
+
+  const totalTo = getTotalTicketsInSession(toSessionId) + reserved.tickets;
+  if (totalTo + booking.tickets > capacity) {
+    return {
+      ok: false,
+      msg: "Не хватает мест в целевом зале",
+      details: { capacity, booked: totalTo, moving: booking.tickets }
+    };
+  }
+
+  if (booking.tickets > limit) {
+    return { ok: false, msg: "Нельзя перебросить: в целевом зале лимит билетов в одни руки меньше", details: { limit } };
+  }
+
+  seats = seats || pickFreeSeats(toSessionId, hall, booking.tickets, sourceSeats, reserved.seats);
+  if (!seats) return { ok: false, msg: "Не удалось подобрать свободные места в целевом зале" };
+
+  return { ok: true, toSessionId, mergedInto: null, seats, tickets: booking.tickets, write: carryTariffs(seats, sourceSeats) };
+}
+
+// Записывает переброску по плану из planBookingMove; вызывается внутри транзакции.
+// Цены пересчитываются по тарифам целевого сеанса
+function applyBookingMove(req, booking, plan, details = {}) {
+  const { toSessionId, mergedInto } = plan;
+  const fromSessionId = booking.session_id;
+
+  if (mergedInto) {
+    const moved = snapshot("booking", booking.id);
+    const before = snapshot("booking", mergedInto.id);
+    db.prepare(`DELETE FROM bookings WHERE id = ?`).run(booking.id);
+    const result = writeBookingSeats(mergedInto.id, toSessionId, plan.write);
+    audit(req, {
+      action: "booking.move",
+      entityId: booking.id,
+      before: moved,
+      details: { fromSessionId, toSessionId, mergedInto: mergedInto.id, ...details }
+    });
+    audit(req, {
+      action: "booking.merge",
+      entityId: mergedInto.id,
+      before,
+      after: snapshot("booking", mergedInto.id),
+      details: { mergedFrom: booking.id, fromSessionId, ...details }
+    });
+    return result;
+  }
+
+  const before = snapshot("booking", booking.id);
+  const result = writeBookingSeats(booking.id, toSessionId, plan.write);
+  audit(req, {
+    action: "booking.move",
+    entityId: booking.id,
+    before,
+    after: snapshot("booking", booking.id),
+    details: { fromSessionId, toSessionId, ...details }
+  });
+  return result;
+}
+
+app.post("/api/bookings/:bid/move", requireRole("cashier"), atomic((req, res) => {
   const bookingId = req.params.bid;
-  const { toSessionId } = req.body || {};
+  const { toSessionId, seats } = req.body || {};
   if (typeof toSessionId !== "string" || !toSessionId.trim()) return badRequest(res, "toSessionId обязателен");
 
   const booking = stmt.getBooking.get(bookingId);
   if (!booking) return res.status(404).json({ error: "Бронь не найдена" });
 
+  const versionCheck = checkVersion(req, booking.version);
+  if (!versionCheck.ok) return versionConflict(res, versionCheck, "Бронь изменена другим кассиром — обновите данные");
+  if (booking.status === "cancelled") return badRequest(res, "Бронь отменена вместе с сеансом");
+
   const fromSession = stmt.getSession.get(booking.session_id);
   const toSession = stmt.getSession.get(toSessionId);
 
   if (!toSession) return res.status(404).json({ error: "Целевой сеанс не найден" });
-  if (fromSession.movie !== toSession.movie) {
-    return badRequest(res, "Целевой сеанс должен быть с тем же фильмом", {
-      fromMovie: fromSession.movie,
-      toMovie: toSession.movie
+  const targetCheck = ensureMoveTarget(fromSession, toSession);
+  if (!targetCheck.ok) return badRequest(res, targetCheck.msg, targetCheck.details);
+
+  const plan = planBookingMove(booking, toSessionId, { seats });
+  if (!plan.ok) return badRequest(res, plan.msg, plan.details);
+
+  const written = db.transaction(() => applyBookingMove(req, booking, plan))();
+  const promoted = promoteWaitlist(fromSession.id, req);
+
+  if (plan.mergedInto) {
+    return res.json({
+      moved: true,
+      mergedInto: plan.mergedInto.id,
+      deleted: bookingId,
+      tickets: plan.tickets,
+      seats: written.seats,
+      total_price: written.total,
+      promoted
+    });
+  }
+  res.json({ moved: true, bookingId, toSessionId, seats: written.seats, total_price: written.total, promoted });
+}));
+
+// Эвакуация сеанса (сломался проектор и т. п.): все брони распределяются по целевым сеансам того же
+// фильма с теми же проверками, что и при переброске одной брони. Цели перебираются в указанном порядке,
+// крупные брони размещаются первыми. Всё или ничего: если хоть одной брони не нашлось места,
+// ничего не переносится. dry_run — только план распределения
+const EVACUATE_CANCEL_REASON = "Все брони перенесены на другие сеансы";
+
+app.post("/api/sessions/:id/evacuate", requireRole("cashier"), atomic((req, res) => {
+  const fromSession = stmt.getSession.get(req.params.id);
+  if (!fromSession) return res.status(404).json({ error: "Сеанс не найден" });
+  if (fromSession.status === "cancelled") return badRequest(res, "Сеанс отменён — его брони хранятся для возвратов");
+
+  const { targets, dry_run } = req.body || {};
+  if (!Array.isArray(targets) || targets.length === 0 || targets.some(t => typeof t !== "string" || !t.trim())) {
+    return badRequest(res, "targets должен быть непустым массивом id сеансов");
+  }
+  if (new Set(targets).size !== targets.length) return badRequest(res, "Целевой сеанс указан дважды");
+  for (const toSessionId of targets) {
+    const toSession = stmt.getSession.get(toSessionId);
+    if (!toSession) return res.status(404).json({ error: "Целевой сеанс не найден", details: { toSessionId } });
+    const targetCheck = ensureMoveTarget(fromSession, toSession);
+    if (!targetCheck.ok) return badRequest(res, targetCheck.msg, { toSessionId, ...targetCheck.details });
+  }
+
+  const dryRun = Boolean(dry_run);
+  const bookings = db.prepare(`
+    SELECT * FROM bookings WHERE session_id = ? ORDER BY tickets DESC, rowid
+  `).all(fromSession.id);
+
+  const reserved = new Map(targets.map(id => [id, { seats: new Set(), tickets: 0 }]));
+  const placed = [];
+  const unplaced = [];
+  for (const booking of bookings) {
+    const reasons = [];
+    let plan = null;
+    for (const toSessionId of targets) {
+      const attempt = planBookingMove(booking, toSessionId, { reserved: reserved.get(toSessionId) });
+      if (attempt.ok) {
+        plan = attempt;
+        break;
+      }
+      reasons.push({ toSessionId, reason: attempt.msg });
+    }
+
+    const summary = { bookingId: booking.id, customer_name: booking.customer_name, tickets: booking.tickets, status: booking.status };
+    if (!plan) {
+      unplaced.push({ ...summary, reasons });
+      continue;
+    }
+    const slot = reserved.get(plan.toSessionId);
+    plan.seats.forEach(s => slot.seats.add(seatKey(s)));
+    slot.tickets += booking.tickets;
+    placed.push({
+      ...summary,
+      toSessionId: plan.toSessionId,
+      seats: plan.seats.map(({ row, seat }) => ({ row, seat })),
+      mergedInto: plan.mergedInto?.id ?? null,
+      booking,
+      plan
     });
   }
 
-  const capacity = getHallCapacityBySession(toSessionId);
-  if (capacity == null) return badRequest(res, "Не удалось определить вместимость зала целевого сеанса");
+  const report = {
+    dry_run: dryRun,
+    total: bookings.length,
+    placed: placed.map(({ booking, plan, ...rest }) => rest),
+    unplaced
+  };
+  if (dryRun) return res.json(report);
+  if (unplaced.length) return badRequest(res, "Сеанс не освобождён: не для всех броней нашлось место", report);
+
+  // сеанс освобождают, потому что он не состоится: он отменяется вместе с очередью ожидания,
+  // иначе освободившийся зал снова заполнили бы продажи и продвижение очереди
+  const waitlistCancelled = db.transaction(() => {
+    for (const { booking, plan } of placed) applyBookingMove(req, booking, plan, { source: "evacuate" });
+
+    const before = snapshot("session", fromSession.id);
+    db.prepare(`
+      UPDATE sessions SET status = 'cancelled', cancelled_at = ?, cancel_reason = ?, version = version + 1 WHERE id = ?
+    `).run(new Date().toISOString(), EVACUATE_CANCEL_REASON, fromSession.id);
+    const waitlist = cancelWaitlist(req, fromSession.id);
+    audit(req, {
+      action: "session.status",
+      entityId: fromSession.id,
+      before,
+      after: snapshot("session", fromSession.id),
+      details: { from: sessionStatus(fromSession), to: "cancelled", reason: EVACUATE_CANCEL_REASON, bookings: 0, holds: 0, source: "evacuate" }
+    });
+    audit(req, {
+      action: "session.evacuate",
+      entityId: fromSession.id,
+      details: { targets, moved: placed.length, tickets: placed.reduce((sum, p) => sum + p.tickets, 0) }
+    });
+    return waitlist;
+  })();
 
-  const existing = findBookingByName(toSessionId, booking.customer_name);
+  res.json({ ...report, session_status: "cancelled", waitlist_cancelled: waitlistCancelled });
+}));
 
-  if (existing) {
-    const mergedTickets = existing.tickets + booking.tickets;
-    if (mergedTickets > MAX_TICKETS_PER_PERSON) {
-      return badRequest(res, "Превышен лимит билетов в одни руки", {
-        limit: MAX_TICKETS_PER_PERSON,
-        existing: existing.tickets,
-        moving: booking.tickets
+// Отчёты по заполняемости и продажам
+app.get("/api/reports/occupancy", requireRole("admin"), (req, res) => {
+  const rangeCheck = ensureReportRange(req.query);
+  if (!rangeCheck.ok) return badRequest(res, rangeCheck.msg);
+
+  res.json(buildOccupancyReport(req.query.from, req.query.to));
+});
+
+app.get("/api/reports/occupancy.csv", requireRole("admin"), (req, res) => {
+  const rangeCheck = ensureReportRange(req.query);
+  if (!rangeCheck.ok) return badRequest(res, rangeCheck.msg);
+
+  const section = req.query.section || "sessions";
+  const columns = REPORT_CSV_SECTIONS[section];
+  if (!columns) return badRequest(res, `section должен быть одним из: ${Object.keys(REPORT_CSV_SECTIONS).join(", ")}`);
+
+  const report = buildOccupancyReport(req.query.from, req.query.to);
+  const rows = ["sessions", "topFilms", "cancelled"].includes(section) ? report[section] : [...report[section], report.totals];
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="occupancy-${section}-${report.from}-${report.to}.csv"`);
+  res.send(toCsv(rows, columns));
+});
+
+// Пакетное создание сеансов: всё или ничего
+app.post("/api/sessions/batch", requireRole("admin"), atomic((req, res) => {
+  const slots = req.body?.sessions;
+  if (!Array.isArray(slots) || slots.length === 0) return badRequest(res, "sessions должен быть непустым массивом");
+
+  const tx = db.transaction(() => {
+    const accepted = [];
+    const errors = [];
+    slots.forEach((slot, index) => {
+      const problem = validateSessionSlot(slot, accepted);
+      if (problem) errors.push({ index, ...problem });
+      else accepted.push(slot);
+    });
+    if (errors.length) return { errors };
+    const ids = accepted.map(insertSession);
+    ids.forEach(id => audit(req, { action: "session.create", entityId: id, after: snapshot("session", id), details: { source: "batch" } }));
+    return { ids };
+  });
+  const result = tx();
+
+  if (result.errors) return badRequest(res, "Расписание не сохранено: есть ошибки", { errors: result.errors });
+  res.status(201).json({ ids: result.ids });
+}));
+
+// Предложение расписания зала на день; ничего не сохраняет — коммит через /api/sessions/batch
+app.post("/api/schedule/pack", requireRole("admin"), (req, res) => {
+  const { hall_id, date, open, close, films } = req.body || {};
+  if (typeof hall_id !== "string" || !hallExists(hall_id)) return badRequest(res, "Указанный зал (hall_id) не существует");
+  if (parseDateOnly(date) === null) return badRequest(res, "date должен быть датой ГГГГ-ММ-ДД");
+  if (hhmmToMinutes(open) === null || hhmmToMinutes(close) === null) {
+    return badRequest(res, "open и close должны быть в формате ЧЧ:ММ");
+  }
+  if (!Array.isArray(films) || films.length === 0) return badRequest(res, "films должен быть непустым массивом");
+
+  const rules = globalSettings();
+  const normalizedFilms = [];
+  for (const f of films) {
+    const movie = typeof f?.movie_id === "string" ? stmt.getMovie.get(f.movie_id) : undefined;
+    if (!movie) return badRequest(res, "Указанный фильм (movie_id) не существует", { movie_id: f?.movie_id });
+    const count = Number(f.count);
+    if (!Number.isInteger(count) || count <= 0) return badRequest(res, "count должен быть целым числом > 0", { movie_id: movie.id });
+    const duration = Number(f.duration_min ?? movie.runtime_min);
+    if (!Number.isInteger(duration) || duration < rules.min_session_duration || duration > rules.max_session_duration) {
+      return badRequest(res, `Длительность сеанса должна быть от ${rules.min_session_duration} до ${rules.max_session_duration} минут`, {
+        movie_id: movie.id,
+        duration_min: duration
       });
     }
+    const basePrice = Number(f.base_price ?? DEFAULT_BASE_PRICE);
+    if (!Number.isInteger(basePrice) || basePrice < 0) return badRequest(res, "base_price должен быть целым числом >= 0");
+    normalizedFilms.push({ movie_id: movie.id, title: movie.title, count, duration_min: duration, base_price: basePrice });
+  }
 
-    const totalExcludingExisting = getTotalTicketsInSession(toSessionId, [existing.id]);
-    if (totalExcludingExisting + mergedTickets > capacity) {
-      return badRequest(res, "Не хватает мест в целевом зале", {
-        capacity,
-        bookedExcludingExisting: totalExcludingExisting,
-        mergedTickets
+  // окно работы в рабочем дне date; закрытие раньше открытия — после полуночи
+  let openMs = businessTimeToMs(date, open);
+  let closeMs = businessTimeToMs(date, close);
+  if (closeMs <= openMs) closeMs = zonedTimeToMs(addDays(zonedParts(closeMs).date, 1), close);
+  openMs = Math.max(openMs, Date.now() + rules.session_lead_minutes * 60_000);
+
+  const pause = setting("pause_minutes", hall_id);
+  const busy = db.prepare(`SELECT start_at, duration_min FROM sessions WHERE hall_id = ? AND status <> 'cancelled'`).all(hall_id)
+    .map(s => sessionWindowMs(s, pause))
+    .filter(w => w.endMs > openMs && w.startMs < closeMs);
+
+  const result = packDaySchedule({ hall_id, openMs, closeMs, films: normalizedFilms, busy });
+  const titles = new Map(normalizedFilms.map(f => [f.movie_id, f.title]));
+
+  res.json({
+    sessions: result.sessions.map(s => ({ ...s, movie: titles.get(s.movie_id) })),
+    unplaced: result.unplaced.map(u => ({ ...u, movie: titles.get(u.movie_id) }))
+  });
+});
+
+// Импорт расписания из CSV или JSON: { csv: "..." } или { rows: [...] }, dry_run — только отчёт
+app.post("/api/schedule/import", requireRole("admin"), atomic((req, res) => {
+  const { csv, rows, dry_run } = req.body || {};
+  let items;
+  if (typeof csv === "string") {
+    items = parseCsv(csv);
+    if (items.length === 0) return badRequest(res, "CSV пуст или содержит только заголовок");
+    const header = Object.keys(items[0].row);
+    const missing = ["movie", "start", "hall"].filter(c => !header.includes(c));
+    if (missing.length) return badRequest(res, `В CSV нет колонок: ${missing.join(", ")}`, { expected: IMPORT_COLUMNS });
+  } else if (Array.isArray(rows)) {
+    items = rows.map((row, idx) => ({ line: idx + 1, row: row && typeof row === "object" ? row : {} }));
+  } else {
+    return badRequest(res, "Передайте csv (строка) или rows (массив)");
+  }
+  if (items.length === 0) return badRequest(res, "Нет строк для импорта");
+  if (items.length > MAX_IMPORT_ROWS) return badRequest(res, `Не больше ${MAX_IMPORT_ROWS} строк за один импорт`);
+
+  const dryRun = Boolean(dry_run);
+  const movies = db.prepare(`SELECT id, title, runtime_min FROM movies`).all();
+  const halls = db.prepare(`SELECT id, name FROM halls`).all();
+
+  const tx = db.transaction(() => {
+    const accepted = [];
+    const report = items.map(({ line, row }) => {
+      const { slot, error } = resolveImportRow(row, movies, halls);
+      if (error) return { row: line, ok: false, reason: error };
+      const problem = validateSessionSlot(slot, accepted);
+      if (problem) return { row: line, ok: false, ...problem, session: slot };
+      accepted.push(slot);
+      return { row: line, ok: true, session: slot };
+    });
+    const errors = report.filter(r => !r.ok).length;
+    if (!dryRun && errors === 0) {
+      accepted.forEach(slot => {
+        slot.id = insertSession(slot);
+        audit(req, { action: "session.create", entityId: slot.id, after: snapshot("session", slot.id), details: { source: "import" } });
       });
     }
+    return { report, errors, accepted };
+  });
+  const { report, errors, accepted } = tx();
 
-    const tx = db.transaction(() => {
-      db.prepare(`UPDATE bookings SET tickets = ? WHERE id = ?`).run(mergedTickets, existing.id);
-      db.prepare(`DELETE FROM bookings WHERE id = ?`).run(bookingId);
-    });
-    tx();
+  const body = { dry_run: dryRun, total: items.length, valid: items.length - errors, errors, rows: report };
+  if (dryRun) return res.json(body);
+  if (errors) return badRequest(res, "Расписание не импортировано: есть ошибки", body);
+  res.status(201).json({ ...body, ids: accepted.map(slot => slot.id) });
+}));
+
+// Шаблоны расписания
+app.get("/api/schedule-templates", requireRole("admin"), (req, res) => {
+  const rows = db.prepare(`
+    SELECT t.*, m.title AS movie, h.name AS hall_name
+    FROM schedule_templates t
+    JOIN movies m ON m.id = t.movie_id
+    JOIN halls h ON h.id = t.hall_id
+    ORDER BY t.date_from, m.title
+  `).all();
+  res.json(rows.map(rowToTemplate));
+});
+
+app.post("/api/schedule-templates", requireRole("admin"), atomic((req, res) => {
+  const payloadCheck = ensureTemplatePayload(req.body);
+  if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
+
+  const id = uuidv4();
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO schedule_templates (id, movie_id, hall_id, times, weekdays, date_from, date_to, duration_min, base_price)
+      VALUES (@id, @movie_id, @hall_id, @times, @weekdays, @date_from, @date_to, @duration_min, @base_price)
+    `).run({ id, ...templateParams(req.body) });
+    audit(req, { action: "template.create", entityId: id, after: snapshot("template", id) });
+  })();
+
+  res.status(201).json({ id });
+}));
+
+app.put("/api/schedule-templates/:id", requireRole("admin"), atomic((req, res) => {
+  const id = req.params.id;
+  if (!stmt.getTemplate.get(id)) return res.status(404).json({ error: "Шаблон не найден" });
+
+  const payloadCheck = ensureTemplatePayload(req.body);
+  if (!payloadCheck.ok) return badRequest(res, payloadCheck.msg);
+
+  db.transaction(() => {
+    const before = snapshot("template", id);
+    db.prepare(`
+      UPDATE schedule_templates
+      SET movie_id = @movie_id, hall_id = @hall_id, times = @times, weekdays = @weekdays,
+          date_from = @date_from, date_to = @date_to, duration_min = @duration_min, base_price = @base_price
+      WHERE id = @id
+    `).run({ id, ...templateParams(req.body) });
+    audit(req, { action: "template.update", entityId: id, before, after: snapshot("template", id) });
+  })();
 
-    return res.json({ moved: true, mergedInto: existing.id, deleted: bookingId, tickets: mergedTickets });
+  res.json({ ok: true });
+}));
+
+app.delete("/api/schedule-templates/:id", requireRole("admin"), atomic((req, res) => {
+  const id = req.params.id;
+  const before = snapshot("template", id);
+  if (!before) return res.status(404).json({ error: "Шаблон не найден" });
+
+  db.transaction(() => {
+    db.prepare(`DELETE FROM schedule_templates WHERE id = ?`).run(id);
+    audit(req, { action: "template.delete", entityId: id, before });
+  })();
+  res.json({ ok: true });
+}));
+
+// Разворачивает шаблон в сеансы. Каждый слот проходит те же проверки, что и POST /api/sessions;
+// конфликтующие слоты пропускаются. dry_run — только отчёт, без записи
+app.post("/api/schedule-templates/:id/generate", requireRole("admin"), atomic((req, res) => {
+  const row = stmt.getTemplate.get(req.params.id);
+  if (!row) return res.status(404).json({ error: "Шаблон не найден" });
+
+  const dryRun = Boolean(req.body?.dry_run);
+  const created = [];
+  const skipped = [];
+
+  for (const slot of expandTemplate(rowToTemplate(row))) {
+    const problem = validateSessionSlot(slot, created);
+    if (problem) skipped.push({ ...slot, ...problem });
+    else created.push(slot);
   }
 
-  const totalTo = getTotalTicketsInSession(toSessionId);
-  if (totalTo + booking.tickets > capacity) {
-    return badRequest(res, "Не хватает мест в целевом зале", {
-      capacity,
-      booked: totalTo,
-      moving: booking.tickets
-    });
+  if (!dryRun) {
+    const tx = db.transaction(() => created.forEach(slot => {
+      slot.id = insertSession(slot);
+      audit(req, {
+        action: "session.create",
+        entityId: slot.id,
+        after: snapshot("session", slot.id),
+        details: { source: "template", templateId: row.id }
+      });
+    }));
+    tx();
+  }
+
+  res.status(dryRun ? 200 : 201).json({ dry_run: dryRun, created, skipped });
+}));
+
+// Поток изменений для касс: каждое изменение из журнала рассылается всем подключённым клиентам
+app.get("/api/events", (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.write("retry: 3000\n\n");
+
+  eventClients.add(res);
+  req.on("close", () => eventClients.delete(res));
+});
+
+// Журнал изменений: фильтры session_id (включая брони, перенесённые из сеанса), booking_id,
+// entity + entity_id, action, from/to по времени; новые записи первыми
+app.get("/api/audit", requireRole("cashier"), (req, res) => {
+  const { session_id, booking_id, entity, entity_id, action, from, to, date } = req.query;
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LIMIT) {
+    return badRequest(res, `limit должен быть целым числом от 1 до ${MAX_AUDIT_LIMIT}`);
+  }
+  for (const [name, value] of [["from", from], ["to", to]]) {
+    if (value !== undefined && parseISOToMs(value) === null) return badRequest(res, `${name} имеет неверный формат даты`);
   }
+  if (date !== undefined && parseDateOnly(date) === null) return badRequest(res, "date должен быть датой ГГГГ-ММ-ДД");
 
-  if (booking.tickets > MAX_TICKETS_PER_PERSON) {
-    return badRequest(res, "Некорректная бронь: превышен лимит билетов", { limit: MAX_TICKETS_PER_PERSON });
+  const where = [];
+  const params = { limit };
+  if (session_id) {
+    where.push(`(session_id = @session_id OR json_extract(before_json, '$.session_id') = @session_id)`);
+    params.session_id = session_id;
+  }
+  if (booking_id) {
+    where.push(`(booking_id = @booking_id
+      OR json_extract(details_json, '$.mergedInto') = @booking_id
+      OR json_extract(details_json, '$.mergedFrom') = @booking_id)`);
+    params.booking_id = booking_id;
+  }
+  if (entity) { where.push(`entity = @entity`); params.entity = entity; }
+  if (entity_id) { where.push(`entity_id = @entity_id`); params.entity_id = entity_id; }
+  if (action) { where.push(`action = @action`); params.action = action; }
+  if (from) { where.push(`at >= @from`); params.from = new Date(parseISOToMs(from)).toISOString(); }
+  if (to) { where.push(`at <= @to`); params.to = new Date(parseISOToMs(to)).toISOString(); }
+  if (date) {
+    const { fromIso, toIso } = businessDayBounds(date);
+    where.push(`at >= @dayFrom AND at < @dayTo`);
+    Object.assign(params, { dayFrom: fromIso, dayTo: toIso });
   }
 
-  db.prepare(`UPDATE bookings SET session_id = ? WHERE id = ?`).run(toSessionId, bookingId);
-  res.json({ moved: true, bookingId, toSessionId });
+  const rows = db.prepare(`
+    SELECT * FROM audit_log
+    ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+    ORDER BY id DESC
+    LIMIT @limit
+  `).all(params);
+
+  res.json(rows.map(rowToAuditEntry));
 });
 
 app.get(/^\/(?!api\/).*/, (req, res) => {
@@ -512,7 +3486,14 @@ app.use((err, req, res, next) => {
   });
 });
 
+setInterval(releaseExpiredHolds, 30_000);
+
+// комментарий-пинг не даёт прокси и браузеру закрыть простаивающее соединение
+setInterval(() => eventClients.forEach(client => client.write(": ping\n\n")), EVENT_HEARTBEAT_MS);
+
 app.listen(PORT, () => {
   console.log(`Сервер запущен: http://localhost:${PORT}`);
-  console.log(`Конфигурация: Техпауза M = ${PAUSE_MINUTES} мин, Лимит N = ${MAX_TICKETS_PER_PERSON} билетов`);
+  const rules = globalSettings();
+  console.log(`Конфигурация: Техпауза M = ${rules.pause_minutes} мин, Лимит N = ${rules.max_tickets_per_person} билетов`);
+  console.log(`Часовой пояс кинотеатра: ${CINEMA_TIME_ZONE}, рабочий день с ${rules.business_day_start_hour}:00`);
 });